@@ -8,6 +8,44 @@ Module.register("MMM-SynologyPhotos", {
     fullscreen: { width: null, height: null },  // stretches to fill region
   },
 
+  DAY_NAMES: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"],
+
+  // Touch gestures: minimum swipe length in px, and how long a press must last to pause
+  SWIPE_DISTANCE: 50,
+  HOLD_DELAY: 600,
+  // Movement in pixels after which a press counts as a swipe, not a hold
+  HOLD_SLOP: 10,
+
+  // Photos per slide for each layout when portraits are grouped
+  LAYOUT_SLOTS: {
+    single: 1,
+    pair: 2,
+    collage: 3,
+  },
+
+  // Transition keyframes: { enter, leave } for the incoming and outgoing slide.
+  // Without `leave` the old slide stays fully visible under the new one.
+  TRANSITIONS: {
+    crossfade: function () {
+      return {
+        enter: [{ opacity: 0 }, { opacity: 1 }],
+        leave: null,
+      };
+    },
+    slide: function (direction) {
+      return {
+        enter: [{ transform: "translateX(" + direction * 100 + "%)" }, { transform: "translateX(0)" }],
+        leave: [{ transform: "translateX(0)" }, { transform: "translateX(" + -direction * 100 + "%)" }],
+      };
+    },
+    zoom: function () {
+      return {
+        enter: [{ opacity: 0, transform: "scale(1.15)" }, { opacity: 1, transform: "scale(1)" }],
+        leave: [{ opacity: 1, transform: "scale(1)" }, { opacity: 0, transform: "scale(0.9)" }],
+      };
+    },
+  },
+
   defaults: {
     serverUrl: "",           // Synology NAS IP or hostname
     port: 5001,              // Port (5001 for HTTPS, 5000 for HTTP)
@@ -16,18 +54,53 @@ Module.register("MMM-SynologyPhotos", {
     password: "",            // Synology account password
     sharedSpace: false,      // true = Shared Space, false = Personal Space
     albumId: null,           // Specific album ID to fetch from (optional)
+    albumName: null,         // Album name, resolved to an ID on the NAS (optional)
     folderId: null,          // Specific folder ID to fetch from (optional)
-    numPhotos: 100,          // Max number of photos to fetch
+    folderPath: null,        // Folder path such as "/Vacations/2023", resolved to an ID (optional)
+    sources: null,           // Array of sources to combine, e.g. [{ albumId: 12 }, { space: "shared", folderId: 7 }]
+    filters: null,           // { dateFrom, dateTo, tags, people, places } — see README
+    numPhotos: 100,          // Number of photos in the slideshow
+    sampling: "random",      // "random" = sample the whole library, "newest" = most recent numPhotos
+    pageSize: 500,           // Items per Synology list request when walking the library
+    pageConcurrency: 3,      // Parallel list requests while walking the library
     thumbnailSize: "auto",   // "sm" (240px), "m" (320px), "xl" (1280px), or "auto"
+    originals: false,        // Use full-resolution originals scaled to the module size (needs sharp)
     shuffle: true,           // Randomize photo order
+    smartShuffle: true,      // Show every photo once before repeating (remembers what was shown)
+    ratingWeight: 0,         // With smartShuffle, extra weight per rating star (e.g. 0.5 = +50% per star)
     sortBy: "time",          // Sort by "time" if shuffle is false
     slideshowSpeed: 15000,   // Time per photo in ms (15 seconds)
-    transitionSpeed: 2000,   // Crossfade transition duration in ms
+    transition: "crossfade", // "crossfade", "slide", "zoom", "random" or "none"
+    transitionSpeed: 2000,   // Transition duration in ms
     refreshInterval: 3600000, // Re-fetch photos every hour
+    retryDelay: 30000,       // First retry after a failed refresh (ms), doubling on each failure
+    retryMaxDelay: 1800000,  // Longest wait between retries (ms)
+    cacheSize: 200,          // Disk cache for thumbnails in MB (0 disables), used when the NAS is offline
+    cachePrefetch: 5,        // Number of upcoming thumbnails to download ahead of time
+    preloadCount: 2,         // Number of upcoming photos the browser loads and decodes ahead of time
+    includeVideos: false,    // Also play videos (muted) from the library
+    videoMaxDuration: 60000, // Move on from a video after this many ms even if it hasn't ended
+    onThisDay: false,        // Only show photos taken on today's date in earlier years
+    onThisDayMinPhotos: 10,  // Widen to the same week, then month, when fewer photos match
     backgroundSize: "cover", // CSS object-fit: "cover", "contain", "fill"
+    blurFill: false,         // Fill the space around a contained photo with a blurred copy of it
+    blurFillRadius: 30,      // Blur radius of that copy in px
+    blurFillDim: 0.5,        // How much to darken it (0 = not at all, 1 = black)
+    layout: "single",        // "single", "pair" or "collage": show 2 or 3 portrait photos side by side on landscape frames
+    kenBurns: false,         // Slowly pan and zoom each photo while it is shown
+    kenBurnsZoom: 1.2,       // How far Ken Burns zooms in (1.2 = 120%)
     showFilename: false,     // Show filename overlay
     showDate: false,         // Show photo date overlay
+    overlayTemplate: null,   // Custom overlay, e.g. "{place} · {date} · {people}" (replaces showFilename/showDate)
+    overlayPosition: "bottom", // "bottom", "top", "top-left", "top-right", "bottom-left" or "bottom-right"
+    dateFormat: { year: "numeric", month: "long", day: "numeric" }, // Intl date options for {date} and showDate
+    dateLocale: null,        // Locale for dates, e.g. "de-DE" (null = browser default)
+    reverseGeocode: true,    // Name the place from GPS (offline) when Synology has no address
+    gazetteerFile: null,     // Own place list instead of the bundled one, e.g. GeoNames cities15000.txt
     showCounter: true,       // Show photo counter badge
+    schedule: [],            // Time windows that pause, dim, switch source or change speed (see README)
+    touchControls: false,    // Swipe or tap the sides for next/previous, press and hold to pause
+    keyboardControls: false, // Arrow keys for next/previous, space to pause
 
     // --- Sizing options (pick ONE approach) ---
     sizePreset: null,        // "small", "medium", "large", "xlarge", "fullscreen", or null
@@ -45,8 +118,20 @@ Module.register("MMM-SynologyPhotos", {
     Log.info("[MMM-SynologyPhotos] Starting module");
     this.photos = [];
     this.currentIndex = 0;
+    this.currentGroup = [];    // Photos on the current slide (more than one when portraits are paired)
     this.loaded = false;
     this.errorMessage = null;
+    this.status = null;        // { error, retryAt } while the NAS is unreachable
+    this.paused = false;       // Paused with SYNOLOGY_PHOTOS_PAUSE
+    this.overlayHidden = false;
+    this.activeRule = null;    // Entry of `schedule` that applies right now
+    this.preloaded = new Map(); // token -> { image, ready } for photos decoded ahead of time
+    this.advanceAttempt = 0;
+    this.statusBadge = null;
+
+    if (this.config.keyboardControls) {
+      document.addEventListener("keydown", (event) => this.handleKey(event));
+    }
 
     // Resolve sizing
     this.resolvedSize = this.resolveSize();
@@ -64,7 +149,130 @@ Module.register("MMM-SynologyPhotos", {
       Log.info("[MMM-SynologyPhotos] Auto thumbnail size: " + this.config.thumbnailSize);
     }
 
-    this.sendSocketNotification("SYNOLOGY_PHOTOS_FETCH", this.config);
+    this.sendSocketNotification("SYNOLOGY_PHOTOS_FETCH", {
+      identifier: this.identifier,
+      config: this.config,
+      frameSize: this.getFrameSize(),
+    });
+
+    if (this.config.schedule && this.config.schedule.length > 0) {
+      this.applySchedule();
+      setInterval(() => this.applySchedule(), 60000);
+    }
+  },
+
+  /**
+   * Switch to the first `schedule` entry that matches the current time, or
+   * back to normal when none does. Only changes are acted on.
+   */
+  applySchedule: function () {
+    var now = new Date();
+    var rule = this.config.schedule.find((r) => this.matchesRule(r, now)) || null;
+    if (rule === this.activeRule) return;
+
+    var previous = this.activeRule;
+    this.activeRule = rule;
+    Log.info("[MMM-SynologyPhotos] Schedule: " + (rule ? "entering " + (rule.from || "00:00") + "–" + (rule.to || "24:00") : "back to normal"));
+
+    var wasSource = JSON.stringify(previous ? this.toSource(previous.source) : null);
+    var source = rule ? this.toSource(rule.source) : null;
+    if (JSON.stringify(source) !== wasSource) {
+      this.sendSocketNotification("SYNOLOGY_PHOTOS_SWITCH_SOURCE", {
+        identifier: this.identifier,
+        source: source,
+      });
+    }
+
+    if (this.allowsRefresh(rule) !== this.allowsRefresh(previous)) {
+      this.sendSocketNotification("SYNOLOGY_PHOTOS_SCHEDULE", {
+        identifier: this.identifier,
+        refresh: this.allowsRefresh(rule),
+      });
+    }
+
+    this.applyDim();
+    if (this.isPaused()) {
+      if (this.slideshowTimer) clearTimeout(this.slideshowTimer);
+      if (this.activeVideo) this.activeVideo.pause();
+    } else if (this.photos.length > 0) {
+      // Restart the timer, picking up a changed slideshowSpeed
+      if (this.activeVideo) this.activeVideo.play().catch(() => {});
+      this.startSlideshow();
+    }
+  },
+
+  /**
+   * True if `rule` applies at `now`. Times are "HH:MM"; a window that ends
+   * before it starts runs past midnight and counts for the day it started.
+   */
+  matchesRule: function (rule, now) {
+    var minutes = now.getHours() * 60 + now.getMinutes();
+    var from = this.parseTime(rule.from, 0);
+    var to = this.parseTime(rule.to, 24 * 60);
+    var day = now.getDay();
+
+    if (from <= to) {
+      if (minutes < from || minutes >= to) return false;
+    } else if (minutes < to) {
+      day = (day + 6) % 7;
+    } else if (minutes < from) {
+      return false;
+    }
+    return this.matchesDay(rule.days, day);
+  },
+
+  parseTime: function (value, fallback) {
+    var match = /^(\d{1,2}):(\d{2})$/.exec(String(value || "").trim());
+    return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : fallback;
+  },
+
+  /**
+   * `days` is a day name ("mon", "Tuesday"), "weekdays", "weekends" or a
+   * list of those; without it every day matches.
+   */
+  matchesDay: function (days, day) {
+    if (!days) return true;
+    var list = Array.isArray(days) ? days : [days];
+    return list.some((entry) => {
+      var name = String(entry).toLowerCase();
+      if (name === "weekdays") return day >= 1 && day <= 5;
+      if (name === "weekends") return day === 0 || day === 6;
+      return this.DAY_NAMES.indexOf(name.slice(0, 3)) === day;
+    });
+  },
+
+  /**
+   * Paused windows also stop the helper's refreshes unless `refresh: true`.
+   */
+  allowsRefresh: function (rule) {
+    if (!rule) return true;
+    return rule.refresh !== undefined ? !!rule.refresh : !rule.pause;
+  },
+
+  isPaused: function () {
+    return this.paused || !!(this.activeRule && this.activeRule.pause);
+  },
+
+  getSlideshowSpeed: function () {
+    return (this.activeRule && this.activeRule.slideshowSpeed) || this.config.slideshowSpeed;
+  },
+
+  applyDim: function () {
+    if (!this.wrapper) return;
+    var dim = this.activeRule && this.activeRule.dim;
+    var opacity = 1 - Math.min(1, Math.max(0, dim || 0));
+    this.wrapper.style.opacity = opacity < 1 ? opacity.toFixed(2) : "";
+  },
+
+  /**
+   * Module size in device pixels, which the helper scales originals to.
+   */
+  getFrameSize: function () {
+    var ratio = window.devicePixelRatio || 1;
+    return {
+      width: Math.round((this.resolvedSize.width || window.innerWidth) * ratio),
+      height: Math.round((this.resolvedSize.height || window.innerHeight) * ratio),
+    };
   },
 
   /**
@@ -95,33 +303,499 @@ Module.register("MMM-SynologyPhotos", {
   },
 
   socketNotificationReceived: function (notification, payload) {
+    // The helper is shared by all instances of this module; ignore the others' notifications
+    if (!payload || payload.identifier !== this.identifier) return;
+
     if (notification === "SYNOLOGY_PHOTOS_DATA") {
       this.photos = payload.photos;
-      this.loaded = true;
       this.errorMessage = null;
-      this.currentIndex = 0;
-      this.updateDom(this.config.transitionSpeed);
-      this.startSlideshow();
+      if (!payload.offline) this.setStatus(null);
+      this.showFrom(0, 1);
+    } else if (notification === "SYNOLOGY_PHOTOS_UPDATE") {
+      this.errorMessage = null;
+      this.setStatus(null);
+      this.applyUpdate(payload.added, payload.removed);
     } else if (notification === "SYNOLOGY_PHOTOS_ERROR") {
       this.errorMessage = payload.error;
       this.loaded = true;
       this.updateDom();
+    } else if (notification === "SYNOLOGY_PHOTOS_STATUS") {
+      this.setStatus(payload.online ? null : {
+        error: payload.error,
+        retryAt: Date.now() + payload.retryIn,
+      });
+    } else if (notification === "SYNOLOGY_PHOTOS_SWITCH_FAILED") {
+      // The slideshow carries on with its current photos; tell whoever asked
+      Log.warn("[MMM-SynologyPhotos] Could not switch source: " + payload.error);
+      this.sendNotification("SYNOLOGY_PHOTOS_SWITCH_FAILED", {
+        identifier: this.identifier,
+        source: payload.source,
+        error: payload.error,
+      });
+    }
+  },
+
+  /**
+   * Remote control through MagicMirror notifications, e.g. from
+   * MMM-Remote-Control or a PIR sensor module. With several instances, add
+   * `identifier` to the payload to address just one of them.
+   */
+  notificationReceived: function (notification, payload) {
+    if (notification.indexOf("SYNOLOGY_PHOTOS_") !== 0) return;
+    if (payload && payload.identifier && payload.identifier !== this.identifier) return;
+
+    if (notification === "SYNOLOGY_PHOTOS_NEXT") {
+      if (this.photos.length > 0) this.showNext();
+    } else if (notification === "SYNOLOGY_PHOTOS_PREVIOUS") {
+      if (this.photos.length > 0) this.showPrevious();
+    } else if (notification === "SYNOLOGY_PHOTOS_PAUSE") {
+      this.pauseSlideshow();
+    } else if (notification === "SYNOLOGY_PHOTOS_RESUME") {
+      this.resumeSlideshow();
+    } else if (notification === "SYNOLOGY_PHOTOS_TOGGLE_OVERLAY") {
+      this.overlayHidden = !this.overlayHidden;
+      if (this.stage) this.stage.classList.toggle("hide-overlay", this.overlayHidden);
+    } else if (notification === "SYNOLOGY_PHOTOS_SWITCH_SOURCE") {
+      this.sendSocketNotification("SYNOLOGY_PHOTOS_SWITCH_SOURCE", {
+        identifier: this.identifier,
+        source: this.toSource(payload),
+      });
+    } else if (notification === "SYNOLOGY_PHOTOS_REFRESH") {
+      this.sendSocketNotification("SYNOLOGY_PHOTOS_REFRESH", { identifier: this.identifier });
+    }
+  },
+
+  /**
+   * Source for SYNOLOGY_PHOTOS_SWITCH_SOURCE: an album name, or an object
+   * like an entry of `sources` (`album` works as a short form of
+   * `albumName`). No payload switches back to the configured sources.
+   */
+  toSource: function (payload) {
+    if (typeof payload === "string") return payload ? { albumName: payload } : null;
+    if (!payload) return null;
+
+    var source = Object.assign({}, payload);
+    delete source.identifier;
+    if (source.album) {
+      source.albumName = source.album;
+      delete source.album;
+    }
+    return Object.keys(source).length > 0 ? source : null;
+  },
+
+  /**
+   * Splice a refresh into the running slideshow. Photos before the current
+   * index have already been shown in this rotation, so new photos go into
+   * the upcoming part (in date order when sorting, at random otherwise) and
+   * the current slide keeps playing unless it was removed.
+   */
+  applyUpdate: function (added, removed) {
+    var removedTokens = new Set(removed);
+    var keep = (p) => !removedTokens.has(p.token);
+    var group = this.currentGroup;
+    var currentRemoved = group.length === 0 || !group.every(keep);
+    var wasRunning = this.photos.length > group.length;
+
+    var shown = this.photos.slice(0, this.currentIndex).filter(keep);
+    var upcoming = this.photos.slice(this.currentIndex + group.length).filter(keep);
+    var sorted = !this.config.shuffle && this.config.sortBy === "time";
+
+    added.forEach((photo) => {
+      var position = upcoming.length;
+      if (sorted) {
+        var later = upcoming.findIndex((p) => p.time < photo.time);
+        if (later !== -1) position = later;
+      } else {
+        position = Math.floor(Math.random() * (upcoming.length + 1));
+      }
+      upcoming.splice(position, 0, photo);
+    });
+
+    // Whatever is left of a broken-up slide is shown next
+    if (currentRemoved) upcoming = group.filter(keep).concat(upcoming);
+    this.photos = shown.concat(currentRemoved ? [] : group, upcoming);
+    this.currentIndex = this.photos.length > 0 ? shown.length % this.photos.length : 0;
+    this.loaded = true;
+
+    if (currentRemoved) {
+      this.showFrom(this.currentIndex, 1);
+    } else {
+      this.updateCounter();
+      if (!wasRunning) this.startSlideshow();
+      this.prefetchUpcoming();
+      this.preloadUpcoming();
+    }
+  },
+
+  /**
+   * Pick the photos for the slide at `index`. With a "pair" or "collage"
+   * layout on a landscape frame, a portrait photo is joined by the next
+   * portraits in the playlist, which are moved up to follow it.
+   */
+  groupAt: function (index) {
+    var first = this.photos[index];
+    var group = first ? [first] : [];
+    var slots = this.LAYOUT_SLOTS[this.config.layout] || 1;
+    if (slots === 1 || !this.isPortrait(first) || this.getFrameAspect() <= 1) return group;
+
+    for (var i = index + 1; i < this.photos.length && group.length < slots; i++) {
+      if (!this.isPortrait(this.photos[i])) continue;
+      var photo = this.photos.splice(i, 1)[0];
+      this.photos.splice(index + group.length, 0, photo);
+      group.push(photo);
+    }
+    return group;
+  },
+
+  isPortrait: function (photo) {
+    return !!photo && photo.type !== "video" && photo.width > 0 && photo.height > photo.width;
+  },
+
+  /**
+   * Width / height of the module, from the configured size or the screen.
+   */
+  getFrameAspect: function () {
+    var size = this.resolvedSize || this.resolveSize();
+    return size.width && size.height
+      ? size.width / size.height
+      : window.innerWidth / window.innerHeight;
+  },
+
+  updateCounter: function () {
+    if (!this.counterEl) return;
+    this.counterEl.textContent = `${this.currentIndex + 1} / ${this.photos.length}`;
+  },
+
+  /**
+   * Track the helper's connection state. While offline the last good
+   * playlist keeps running and a small badge counts down to the next retry;
+   * the badge is updated in place so the current slide isn't re-rendered.
+   */
+  setStatus: function (status) {
+    this.status = status;
+    if (this.statusTimer) clearInterval(this.statusTimer);
+    this.statusTimer = null;
+
+    if (status) {
+      this.statusTimer = setInterval(() => this.updateStatusBadge(), 10000);
+    }
+    if (this.statusBadge && this.statusBadge.isConnected) {
+      this.updateStatusBadge();
+    } else if (this.errorMessage) {
+      this.updateDom();
     }
   },
 
+  updateStatusBadge: function () {
+    if (!this.statusBadge) return;
+    this.statusBadge.style.display = this.status ? "" : "none";
+    this.statusBadge.textContent = this.status ? this.formatStatus() : "";
+    if (this.status) this.statusBadge.title = this.status.error || "";
+  },
+
+  formatStatus: function () {
+    var seconds = Math.max(0, Math.round((this.status.retryAt - Date.now()) / 1000));
+    if (seconds === 0) return "Offline, retrying now";
+    var wait = seconds < 60
+      ? seconds + "s"
+      : seconds < 3600
+        ? Math.round(seconds / 60) + "m"
+        : Math.round(seconds / 3600) + "h";
+    return "Offline, retrying in " + wait;
+  },
+
+  /**
+   * (Re)start the timer for the current slide. Photos stay up for
+   * slideshowSpeed; videos advance when they end (see getDom) or after
+   * videoMaxDuration, whichever comes first.
+   */
   startSlideshow: function () {
-    if (this.slideshowTimer) clearInterval(this.slideshowTimer);
-    if (this.photos.length <= 1) return;
+    if (this.slideshowTimer) clearTimeout(this.slideshowTimer);
+    if (this.isPaused() || this.photos.length <= this.currentGroup.length) return;
 
-    this.slideshowTimer = setInterval(() => {
-      this.currentIndex = (this.currentIndex + 1) % this.photos.length;
-      this.updateDom(this.config.transitionSpeed);
-    }, this.config.slideshowSpeed);
+    var current = this.photos[this.currentIndex];
+    var delay = current && current.type === "video"
+      ? this.config.videoMaxDuration
+      : this.getSlideshowSpeed();
+
+    this.slideshowTimer = setTimeout(() => {
+      this.showNext();
+    }, delay);
+  },
+
+  showNext: function () {
+    this.advance(1);
+  },
+
+  showPrevious: function () {
+    this.advance(-1);
+  },
+
+  /**
+   * Move one slide forward (step 1) or back (step -1).
+   */
+  advance: function (step) {
+    if (this.photos.length === 0) return;
+    var count = this.photos.length;
+    var index = step > 0
+      ? (this.currentIndex + this.currentGroup.length) % count
+      : (this.currentIndex - 1 + count) % count;
+    this.showFrom(index, step);
+  },
+
+  /**
+   * Show the slide starting at `index`, but only once its photos have been
+   * downloaded and decoded, so none shows up half-painted or broken. Photos
+   * that fail to load are skipped in the direction of `step`. A newer call
+   * (e.g. a manual skip while waiting) takes over from an older one.
+   */
+  showFrom: function (index, step) {
+    if (this.slideshowTimer) clearTimeout(this.slideshowTimer);
+    var attempt = ++this.advanceAttempt;
+    if (this.photos.length === 0) {
+      this.currentIndex = 0;
+      this.currentGroup = [];
+      this.loaded = true;
+      this.updateDom();
+      return;
+    }
+
+    var tryPhoto = (photo, tries) => {
+      this.whenReady(photo).then((ready) => {
+        if (attempt !== this.advanceAttempt) return;
+        var position = this.photos.indexOf(photo);
+        if (ready && position !== -1) {
+          this.showGroup(position, step, attempt);
+          return;
+        }
+
+        if (!ready) Log.warn("[MMM-SynologyPhotos] Skipping photo that failed to load: " + photo.filename);
+        // Stop after a full round of failures (e.g. the NAS is down); the timer tries again later
+        if (tries + 1 >= this.photos.length || position === -1) {
+          this.startSlideshow();
+          return;
+        }
+        var next = this.photos[(position + step + this.photos.length) % this.photos.length];
+        tryPhoto(next, tries + 1);
+      });
+    };
+    tryPhoto(this.photos[Math.min(index, this.photos.length - 1)], 0);
+  },
+
+  /**
+   * Render the slide led by the (already decoded) photo at `index` once its
+   * portrait companions are ready too. Companions that fail to load are
+   * left out of the slide and come up again later in the playlist.
+   */
+  showGroup: function (index, step, attempt) {
+    var group = this.groupAt(index);
+    Promise.all(group.map((photo) => this.whenReady(photo))).then((ready) => {
+      if (attempt !== this.advanceAttempt) return;
+      var shown = group.filter((photo, i) => ready[i] && this.photos.includes(photo));
+      if (shown[0] !== group[0]) {
+        // The lead photo was removed by a refresh while waiting
+        this.showFrom(Math.min(index, this.photos.length - 1), step);
+        return;
+      }
+
+      this.currentIndex = this.photos.indexOf(group[0]);
+      this.currentGroup = shown;
+      this.loaded = true;
+      this.renderSlide(step);
+      this.startSlideshow();
+      this.markShown();
+      this.prefetchUpcoming();
+      this.preloadUpcoming();
+    });
+  },
+
+  /**
+   * Resolves to true once a photo can be shown, false if its image failed
+   * to load. Videos handle their own loading and errors.
+   */
+  whenReady: function (photo) {
+    if (photo.type === "video") return Promise.resolve(true);
+    return this.preload(photo).ready;
+  },
+
+  /**
+   * Start loading and decoding a photo in the background. Failed loads are
+   * forgotten so the photo is tried again next time round.
+   */
+  preload: function (photo) {
+    var entry = this.preloaded.get(photo.token);
+    if (entry) return entry;
+
+    var image = new Image();
+    image.src = photo.url;
+    entry = {
+      image: image,
+      ready: image.decode().then(() => true, () => {
+        this.preloaded.delete(photo.token);
+        return false;
+      }),
+    };
+    this.preloaded.set(photo.token, entry);
+    return entry;
+  },
+
+  /**
+   * Decode the next preloadCount photos ahead of time and let go of the
+   * ones that are no longer coming up.
+   */
+  preloadUpcoming: function () {
+    var keep = new Set(this.currentGroup.map((p) => p.token));
+    var shown = this.currentGroup.length;
+    var count = Math.min(this.config.preloadCount, this.photos.length - shown);
+    for (var i = 0; i < count; i++) {
+      var next = this.photos[(this.currentIndex + shown + i) % this.photos.length];
+      if (next.type === "video") continue;
+      keep.add(next.token);
+      this.preload(next);
+    }
+    for (var token of Array.from(this.preloaded.keys())) {
+      if (!keep.has(token)) this.preloaded.delete(token);
+    }
+  },
+
+  pauseSlideshow: function () {
+    this.paused = true;
+    if (this.slideshowTimer) clearTimeout(this.slideshowTimer);
+    if (this.activeVideo) this.activeVideo.pause();
+    this.updatePauseIndicator();
+  },
+
+  resumeSlideshow: function () {
+    if (!this.paused) return;
+    this.paused = false;
+    if (this.activeVideo && !this.isPaused()) this.activeVideo.play().catch(() => {});
+    this.startSlideshow();
+    this.updatePauseIndicator();
+  },
+
+  togglePause: function () {
+    if (this.paused) this.resumeSlideshow();
+    else this.pauseSlideshow();
+  },
+
+  updatePauseIndicator: function () {
+    if (!this.pauseIndicator) return;
+    this.pauseIndicator.style.display = this.paused ? "" : "none";
+  },
+
+  /**
+   * Arrow keys step through the photos, space pauses and resumes. Manual
+   * steps restart the slide timer through showNext/showPrevious.
+   */
+  handleKey: function (event) {
+    if (this.photos.length === 0 || /^(INPUT|TEXTAREA|SELECT)$/.test(event.target.tagName)) return;
+
+    if (event.key === "ArrowRight") {
+      this.showNext();
+    } else if (event.key === "ArrowLeft") {
+      this.showPrevious();
+    } else if (event.key === " ") {
+      this.togglePause();
+    } else {
+      return;
+    }
+    event.preventDefault();
+  },
+
+  /**
+   * Touch gestures on the slideshow: swipe left/right or tap the left/right
+   * third for the previous/next photo, press and hold to pause or resume.
+   */
+  attachTouchControls: function (element) {
+    var start = null;
+    var holdTimer = null;
+
+    element.addEventListener("pointerdown", (event) => {
+      start = { x: event.clientX, y: event.clientY, held: false };
+      holdTimer = setTimeout(() => {
+        start.held = true;
+        this.togglePause();
+      }, this.HOLD_DELAY);
+    });
+
+    element.addEventListener("pointermove", (event) => {
+      if (!start || start.held) return;
+      var moved = Math.max(Math.abs(event.clientX - start.x), Math.abs(event.clientY - start.y));
+      if (moved > this.HOLD_SLOP) clearTimeout(holdTimer);
+    });
+
+    element.addEventListener("pointerup", (event) => {
+      clearTimeout(holdTimer);
+      if (!start || start.held || this.photos.length === 0) return;
+
+      var dx = event.clientX - start.x;
+      var dy = event.clientY - start.y;
+      start = null;
+      if (Math.abs(dx) >= this.SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) {
+        if (dx < 0) this.showNext();
+        else this.showPrevious();
+        return;
+      }
+      if (Math.abs(dx) >= this.SWIPE_DISTANCE || Math.abs(dy) >= this.SWIPE_DISTANCE) return;
+
+      var bounds = element.getBoundingClientRect();
+      var position = (event.clientX - bounds.left) / bounds.width;
+      if (position < 1 / 3) this.showPrevious();
+      else if (position > 2 / 3) this.showNext();
+    });
+
+    element.addEventListener("pointercancel", () => {
+      clearTimeout(holdTimer);
+      start = null;
+    });
+  },
+
+  /**
+   * Tell the helper which photos are on screen, for its display history,
+   * and let other modules know with SYNOLOGY_PHOTOS_CURRENT.
+   */
+  markShown: function () {
+    this.currentGroup.forEach((photo) => {
+      this.sendSocketNotification("SYNOLOGY_PHOTOS_SHOWN", {
+        identifier: this.identifier,
+        token: photo.token,
+      });
+    });
+    if (this.currentGroup.length > 0) {
+      this.sendNotification("SYNOLOGY_PHOTOS_CURRENT", {
+        identifier: this.identifier,
+        photo: this.currentGroup[0],
+        photos: this.currentGroup,
+        index: this.currentIndex,
+        total: this.photos.length,
+      });
+    }
+  },
+
+  /**
+   * Ask the helper to pull the next few thumbnails into its disk cache.
+   */
+  prefetchUpcoming: function () {
+    var shown = this.currentGroup.length;
+    var count = Math.min(this.config.cachePrefetch, this.photos.length - shown);
+    if (!this.config.cacheSize || count <= 0) return;
+
+    var tokens = [];
+    for (var i = 0; i < count; i++) {
+      var next = this.photos[(this.currentIndex + shown + i) % this.photos.length];
+      if (next.type !== "video") tokens.push(next.token);
+    }
+    this.sendSocketNotification("SYNOLOGY_PHOTOS_PREFETCH", {
+      identifier: this.identifier,
+      tokens: tokens,
+    });
   },
 
   getDom: function () {
     const wrapper = document.createElement("div");
     wrapper.className = "synology-photos-wrapper";
+    this.wrapper = wrapper;
+    this.applyDim();
 
     // Apply resolved sizing
     var size = this.resolvedSize || this.resolveSize();
@@ -138,14 +812,25 @@ Module.register("MMM-SynologyPhotos", {
       wrapper.style.maxHeight = this.config.maxHeight;
     }
 
+    this.stage = null;
+
     if (!this.loaded) {
       wrapper.innerHTML = '<div class="synology-photos-loading">Loading photos&hellip;</div>';
       return wrapper;
     }
 
     if (this.errorMessage) {
-      wrapper.innerHTML =
-        '<div class="synology-photos-error">' + this.errorMessage + "</div>";
+      // The message can quote album and folder names from the NAS, so never parse it as HTML
+      const error = document.createElement("div");
+      error.className = "synology-photos-error";
+      error.textContent = this.errorMessage;
+      wrapper.appendChild(error);
+      if (this.status) {
+        const retry = document.createElement("div");
+        retry.className = "synology-photos-retry";
+        retry.textContent = this.formatStatus();
+        wrapper.appendChild(retry);
+      }
       return wrapper;
     }
 
@@ -155,60 +840,342 @@ Module.register("MMM-SynologyPhotos", {
       return wrapper;
     }
 
-    const photo = this.photos[this.currentIndex];
-
+    // The container stays in place between slides; renderSlide() swaps the
+    // slides inside it, so only state changes go through updateDom
     const imgContainer = document.createElement("div");
     imgContainer.className = "synology-photos-container";
+    if (this.overlayHidden) imgContainer.classList.add("hide-overlay");
+    imgContainer.appendChild(this.createSlide(this.currentGroup));
+    this.stage = imgContainer;
+
+    if (this.config.showCounter) {
+      this.counterEl = document.createElement("div");
+      this.counterEl.className = "synology-photos-counter";
+      this.updateCounter();
+      imgContainer.appendChild(this.counterEl);
+    }
+
+    this.statusBadge = document.createElement("div");
+    this.statusBadge.className = "synology-photos-status";
+    imgContainer.appendChild(this.statusBadge);
+    this.updateStatusBadge();
+
+    this.pauseIndicator = document.createElement("div");
+    this.pauseIndicator.className = "synology-photos-paused";
+    this.pauseIndicator.textContent = "❚❚";
+    imgContainer.appendChild(this.pauseIndicator);
+    this.updatePauseIndicator();
+
+    if (this.config.touchControls) {
+      imgContainer.classList.add("touch-controls");
+      this.attachTouchControls(imgContainer);
+    }
+
+    wrapper.appendChild(imgContainer);
+    return wrapper;
+  },
+
+  /**
+   * One slide: the photos (or video) on screen together with their
+   * overlays, animated as a unit. Grouped portraits each get a column.
+   */
+  createSlide: function (group) {
+    const slide = document.createElement("div");
+    slide.className = "synology-photos-slide";
+    this.activeVideo = null;
+
+    if (group.length === 1) {
+      this.appendPhoto(slide, group[0], this.getFrameAspect());
+      return slide;
+    }
+
+    slide.classList.add("is-group");
+    group.forEach((photo) => {
+      const cell = document.createElement("div");
+      cell.className = "synology-photos-cell";
+      this.appendPhoto(cell, photo, this.getFrameAspect() / group.length);
+      slide.appendChild(cell);
+    });
+    return slide;
+  },
+
+  /**
+   * Add a photo or video and its overlay to a slide or collage cell.
+   * `frameAspect` is the shape of the space it fills, for Ken Burns.
+   */
+  appendPhoto: function (parent, photo, frameAspect) {
+    if (this.config.blurFill) parent.appendChild(this.createBackdrop(photo));
+
+    if (photo.type === "video" && photo.videoUrl) {
+      parent.appendChild(this.createVideo(photo));
+    } else {
+      const img = document.createElement("img");
+      img.className = "synology-photos-image";
+      img.src = photo.url;
+      img.alt = photo.filename || "Synology Photo";
+      img.style.objectFit = this.config.backgroundSize;
+      if (this.config.kenBurns) this.applyKenBurns(img, photo, frameAspect);
+      parent.appendChild(img);
+    }
+
+    const overlay = this.config.overlayTemplate
+      ? this.createTemplateOverlay(photo)
+      : this.createOverlay(photo);
+    if (overlay) {
+      overlay.classList.add("position-" + this.config.overlayPosition);
+      parent.appendChild(overlay);
+    }
+  },
+
+  /**
+   * Filename and/or date overlay from showFilename, showDate and onThisDay.
+   */
+  createOverlay: function (photo) {
+    if (!this.config.showFilename && !this.config.showDate && !this.config.onThisDay) return null;
+
+    const overlay = document.createElement("div");
+    overlay.className = "synology-photos-overlay";
 
-    const img = document.createElement("img");
-    img.className = "synology-photos-image";
-    img.src = photo.url;
-    img.alt = photo.filename || "Synology Photo";
-    img.style.objectFit = this.config.backgroundSize;
-    imgContainer.appendChild(img);
-
-    if (this.config.showFilename || this.config.showDate) {
-      const overlay = document.createElement("div");
-      overlay.className = "synology-photos-overlay";
-
-      if (this.config.showFilename) {
-        const nameEl = document.createElement("span");
-        nameEl.className = "synology-photos-filename";
-        nameEl.textContent = photo.filename;
-        overlay.appendChild(nameEl);
+    if (this.config.showFilename) {
+      const nameEl = document.createElement("span");
+      nameEl.className = "synology-photos-filename";
+      nameEl.textContent = photo.filename;
+      overlay.appendChild(nameEl);
+    }
+
+    if ((this.config.showDate || this.config.onThisDay) && photo.time) {
+      const dateEl = document.createElement("span");
+      dateEl.className = "synology-photos-date";
+      const date = new Date(photo.time * 1000);
+      const parts = [];
+      if (this.config.showDate) {
+        parts.push(this.formatDate(date));
       }
+      if (this.config.onThisDay) {
+        parts.push(this.formatYearsAgo(date));
+      }
+      dateEl.textContent = parts.join(" · ");
+      overlay.appendChild(dateEl);
+    }
 
-      if (this.config.showDate && photo.time) {
-        const dateEl = document.createElement("span");
-        dateEl.className = "synology-photos-date";
-        const date = new Date(photo.time * 1000);
-        dateEl.textContent = date.toLocaleDateString(undefined, {
-          year: "numeric",
-          month: "long",
-          day: "numeric",
+    return overlay;
+  },
+
+  /**
+   * Overlay from overlayTemplate. Each line of the template becomes a line
+   * of text; parts separated by "·" whose placeholders are all empty for
+   * this photo are left out, so the separators never pile up.
+   */
+  createTemplateOverlay: function (photo) {
+    var date = photo.time ? new Date(photo.time * 1000) : null;
+    var values = Object.assign({
+      filename: photo.filename,
+      date: date ? this.formatDate(date) : "",
+      yearsAgo: date ? this.formatYearsAgo(date) : "",
+    }, photo.info);
+
+    var lines = this.config.overlayTemplate.split("\n").map((line) => {
+      return line.split(/\s*·\s*/).map((part) => {
+        var used = 0;
+        var filled = 0;
+        var text = part.replace(/\{(\w+)\}/g, (match, name) => {
+          used++;
+          if (!values[name]) return "";
+          filled++;
+          return values[name];
         });
-        overlay.appendChild(dateEl);
+        return used > 0 && filled === 0 ? "" : text.trim();
+      }).filter(Boolean).join(" · ");
+    }).filter(Boolean);
+    if (lines.length === 0) return null;
+
+    const overlay = document.createElement("div");
+    overlay.className = "synology-photos-overlay";
+    lines.forEach((line, i) => {
+      const lineEl = document.createElement("span");
+      lineEl.className = i === 0 ? "synology-photos-caption" : "synology-photos-date";
+      lineEl.textContent = line;
+      overlay.appendChild(lineEl);
+    });
+    return overlay;
+  },
+
+  /**
+   * Synology stores taken times as local wall-clock seconds, so read them
+   * back as UTC to get the photo's own date whatever the mirror's time zone.
+   */
+  formatDate: function (date) {
+    var options = Object.assign({}, this.config.dateFormat, { timeZone: "UTC" });
+    return date.toLocaleDateString(this.config.dateLocale || undefined, options);
+  },
+
+  /**
+   * Blurred, darkened copy of the thumbnail that fills the letterbox around
+   * a contained photo. It is scaled up slightly so the blur has no soft edge.
+   */
+  createBackdrop: function (photo) {
+    const backdrop = document.createElement("div");
+    backdrop.className = "synology-photos-backdrop";
+    backdrop.style.backgroundImage = 'url("' + photo.url + '")';
+    var brightness = 1 - Math.min(1, Math.max(0, this.config.blurFillDim));
+    backdrop.style.filter = "blur(" + this.config.blurFillRadius + "px) brightness(" + brightness + ")";
+    return backdrop;
+  },
+
+  /**
+   * Show the current photo. While the slideshow is on screen the new slide
+   * is layered over the old one and both are animated at once, so there is
+   * never a blank frame in between. Otherwise fall back to updateDom.
+   * `direction` is 1 for forward and -1 for backward (used by "slide").
+   */
+  renderSlide: function (direction) {
+    if (!this.stage || !this.stage.isConnected) {
+      this.updateDom(this.config.transitionSpeed);
+      return;
+    }
+
+    if (this.activeVideo) this.activeVideo.pause();
+    const outgoing = Array.from(this.stage.querySelectorAll(".synology-photos-slide:not(.is-leaving)"));
+    const incoming = this.createSlide(this.currentGroup);
+    const firstBadge = this.stage.querySelector(".synology-photos-counter, .synology-photos-status");
+    this.stage.insertBefore(incoming, firstBadge);
+    this.updateCounter();
+
+    const speed = this.config.transitionSpeed;
+    const frames = this.getTransitionFrames(direction || 1);
+    if (!frames || !speed) {
+      outgoing.forEach((slide) => slide.remove());
+      return;
+    }
+
+    const timing = { duration: speed, easing: "ease-in-out" };
+    const entering = incoming.animate(frames.enter, timing);
+    outgoing.forEach((slide) => {
+      // Take the old slide out of the layout so the new one sizes the module
+      slide.classList.add("is-leaving");
+      if (frames.leave) {
+        const animation = slide.animate(frames.leave, Object.assign({ fill: "forwards" }, timing));
+        animation.onfinish = () => slide.remove();
+      } else {
+        entering.finished.then(() => slide.remove(), () => slide.remove());
       }
+    });
+  },
 
-      imgContainer.appendChild(overlay);
+  /**
+   * Keyframes for the configured transition; "random" picks one per slide.
+   * Returns null for "none".
+   */
+  getTransitionFrames: function (direction) {
+    var name = this.config.transition;
+    if (name === "random") {
+      var names = Object.keys(this.TRANSITIONS);
+      name = names[Math.floor(Math.random() * names.length)];
     }
+    var transition = this.TRANSITIONS[name];
+    return transition ? transition(direction) : null;
+  },
 
-    if (this.config.showCounter) {
-      const counter = document.createElement("div");
-      counter.className = "synology-photos-counter";
-      counter.textContent = `${this.currentIndex + 1} / ${this.photos.length}`;
-      imgContainer.appendChild(counter);
+  /**
+   * Pan and zoom an image over the time it is on screen. Photos wider than
+   * the frame pan sideways, taller ones pan up or down and the rest zoom in
+   * or out. When the helper found faces, the move ends centred on them.
+   */
+  applyKenBurns: function (img, photo, frameAspect) {
+    var zoom = Math.max(1, this.config.kenBurnsZoom);
+    // Largest shift (in % of the image) that keeps the zoomed image covering the frame
+    var range = ((zoom - 1) / (2 * zoom)) * 100;
+    var from = { x: 0, y: 0, scale: zoom };
+    var to = { x: 0, y: 0, scale: zoom };
+
+    var photoAspect = photo.width && photo.height ? photo.width / photo.height : frameAspect;
+    var axis = null;
+    if (photoAspect > frameAspect * 1.1) axis = "x";
+    else if (photoAspect < frameAspect / 1.1) axis = "y";
+
+    var clamp = function (value) {
+      return Math.max(-range, Math.min(range, value));
+    };
+
+    if (photo.focus) {
+      // Move towards the faces: shifting by (0.5 - focus) brings them to the centre
+      to.x = clamp((0.5 - photo.focus.x) * 100);
+      to.y = clamp((0.5 - photo.focus.y) * 100);
+      if (axis) {
+        from[axis] = to[axis] > 0 ? -range : range;
+      } else {
+        from.scale = 1;
+        from.x = 0;
+        from.y = 0;
+      }
+    } else if (axis) {
+      from[axis] = Math.random() < 0.5 ? -range : range;
+      to[axis] = -from[axis];
+    } else if (Math.random() < 0.5) {
+      from.scale = 1;
+    } else {
+      to.scale = 1;
     }
 
-    wrapper.appendChild(imgContainer);
-    return wrapper;
+    var frame = function (step) {
+      return { transform: "scale(" + step.scale + ") translate(" + step.x + "%, " + step.y + "%)" };
+    };
+    img.classList.add("synology-photos-kenburns");
+    // Keep moving through the transitions in and out so it never stalls on screen
+    img.animate([frame(from), frame(to)], {
+      duration: this.getSlideshowSpeed() + 2 * this.config.transitionSpeed,
+      easing: "linear",
+      fill: "forwards",
+    });
+  },
+
+  /**
+   * "3 years ago" label for "on this day" photos.
+   */
+  formatYearsAgo: function (date) {
+    // Today's local year against the photo's wall-clock year, like the helper's memory window
+    var years = new Date().getFullYear() - date.getUTCFullYear();
+    if (years <= 0) return "This year";
+    return years === 1 ? "1 year ago" : years + " years ago";
+  },
+
+  /**
+   * Muted, autoplaying video element that moves on to the next slide when
+   * the clip ends. A single-item playlist loops instead.
+   */
+  createVideo: function (photo) {
+    const video = document.createElement("video");
+    video.className = "synology-photos-image synology-photos-video";
+    video.src = photo.videoUrl;
+    video.poster = photo.url;
+    video.muted = true;
+    video.autoplay = true;
+    video.playsInline = true;
+    video.loop = this.photos.length <= 1;
+    video.style.objectFit = this.config.backgroundSize;
+
+    const advance = () => {
+      // Ignore events from a video that is no longer the current slide
+      if (this.currentGroup.includes(photo)) this.showNext();
+    };
+    video.addEventListener("ended", advance);
+    video.addEventListener("error", () => {
+      Log.warn("[MMM-SynologyPhotos] Could not play video: " + photo.filename);
+      advance();
+    });
+
+    this.activeVideo = video;
+    return video;
   },
 
   suspend: function () {
-    if (this.slideshowTimer) clearInterval(this.slideshowTimer);
+    if (this.slideshowTimer) clearTimeout(this.slideshowTimer);
+    if (this.activeVideo) this.activeVideo.pause();
   },
 
   resume: function () {
+    if (this.isPaused()) return;
+    if (this.activeVideo) this.activeVideo.play().catch(() => {});
     if (this.photos.length > 1) this.startSlideshow();
   },
 });
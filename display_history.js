@@ -0,0 +1,81 @@
+const JsonFile = require("./json_file");
+
+const SAVE_DELAY = 10000;
+const MAX_AGE = 180 * 24 * 60 * 60 * 1000;
+
+/**
+ * Which photos each module instance has shown, persisted to a JSON file.
+ *
+ * For every instance it keeps the last time each photo token was shown and
+ * the set of tokens shown in the current cycle. A cycle ends once every
+ * photo in the pool has been shown, so nothing repeats before that.
+ */
+class DisplayHistory {
+  constructor(file) {
+    this.sections = {};
+    this.store = new JsonFile(file, SAVE_DELAY, () => this.toJSON(), "display history");
+    this.load();
+  }
+
+  load() {
+    try {
+      const data = this.store.read();
+      if (!data) return;
+      const cutoff = Date.now() - MAX_AGE;
+      for (const [identifier, section] of Object.entries(data)) {
+        const lastShown = {};
+        for (const [token, time] of Object.entries(section.lastShown || {})) {
+          if (time > cutoff) lastShown[token] = time;
+        }
+        this.sections[identifier] = { lastShown, cycle: new Set(section.cycle || []) };
+      }
+    } catch (error) {
+      console.warn("[MMM-SynologyPhotos] Could not read display history:", error.message);
+    }
+  }
+
+  section(identifier) {
+    if (!this.sections[identifier]) {
+      this.sections[identifier] = { lastShown: {}, cycle: new Set() };
+    }
+    return this.sections[identifier];
+  }
+
+  recordShown(identifier, token) {
+    const section = this.section(identifier);
+    section.lastShown[token] = Date.now();
+    section.cycle.add(token);
+    this.scheduleSave();
+  }
+
+  lastShown(identifier, token) {
+    return this.section(identifier).lastShown[token] || null;
+  }
+
+  shownThisCycle(identifier, token) {
+    return this.section(identifier).cycle.has(token);
+  }
+
+  startNewCycle(identifier) {
+    this.section(identifier).cycle.clear();
+    this.scheduleSave();
+  }
+
+  scheduleSave() {
+    this.store.schedule();
+  }
+
+  save() {
+    this.store.flush();
+  }
+
+  toJSON() {
+    const data = {};
+    for (const [identifier, section] of Object.entries(this.sections)) {
+      data[identifier] = { lastShown: section.lastShown, cycle: Array.from(section.cycle) };
+    }
+    return data;
+  }
+}
+
+module.exports = DisplayHistory;
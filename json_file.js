@@ -0,0 +1,44 @@
+const fs = require("fs");
+
+/**
+ * A JSON file written at most once per `delay`. Changes call schedule();
+ * flush() writes straight away and synchronously, so the helper's stop()
+ * can persist pending changes before MagicMirror exits.
+ */
+class JsonFile {
+  constructor(file, delay, serialize, label) {
+    this.file = file;
+    this.delay = delay;
+    this.serialize = serialize;
+    this.label = label;
+    this.timer = null;
+  }
+
+  /**
+   * Parsed contents, or null if the file doesn't exist yet.
+   */
+  read() {
+    if (!fs.existsSync(this.file)) return null;
+    return JSON.parse(fs.readFileSync(this.file, "utf8"));
+  }
+
+  schedule() {
+    if (this.timer) return;
+    this.timer = setTimeout(() => this.flush(), this.delay);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    try {
+      fs.writeFileSync(this.file, JSON.stringify(this.serialize()));
+    } catch (error) {
+      console.warn(`[MMM-SynologyPhotos] Could not save ${this.label}:`, error.message);
+    }
+  }
+}
+
+module.exports = JsonFile;
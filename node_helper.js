@@ -4,8 +4,41 @@ const https = require("https");
 const http = require("http");
 const fs = require("fs");
 const path = require("path");
+const ThumbnailCache = require("./thumbnail_cache");
+const DisplayHistory = require("./display_history");
+const ReverseGeocoder = require("./reverse_geocoder");
+const { isQuickConnectHost, resolveQuickConnect, pickFastest } = require("./quickconnect");
 
 const TOKEN_FILE = path.join(__dirname, "device_token.json");
+const CACHE_DIR = path.join(__dirname, "cache");
+const HISTORY_FILE = path.join(__dirname, "display_history.json");
+const THUMBNAIL_SIZES = ["sm", "m", "xl"];
+// Image size for originals scaled to the frame by the helper (`originals` option)
+const ORIGINAL_SIZE = "original";
+// Frame size to scale originals to until the frontend reports its own
+const DEFAULT_FRAME_SIZE = { width: 1920, height: 1080 };
+// HEIF brands that use HEVC, which sharp's prebuilt libvips can't decode
+const HEVC_BRANDS = ["heic", "heix", "hevc", "hevx", "heim", "heis"];
+const GAZETTEER_FILE = path.join(__dirname, "gazetteer.csv");
+// Photos further than this from any gazetteer place get no place name
+const GEOCODE_MAX_DISTANCE_KM = 100;
+
+// Synology error codes meaning the SID is no longer valid:
+// 106 session timeout, 107 kicked by a duplicate login, 119 SID not found
+const SESSION_ERROR_CODES = [106, 107, 119];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "On this day" windows, tried in order until enough photos match
+const MEMORY_WINDOWS = ["day", "week", "month"];
+
+// How long an API call or thumbnail may take before the address counts as
+// not responding, and the same for a full-size original download
+const REQUEST_TIMEOUT = 30000;
+const DOWNLOAD_TIMEOUT = 120000;
+// Shortest wait before resolving QuickConnect again; doubles (up to the max)
+// while no address answers, so an NAS that is off isn't looked up per request
+const RESOLVE_INTERVAL = 60000;
+const RESOLVE_MAX_INTERVAL = 1800000;
 
 // Allow self-signed certificates common on Synology NAS devices
 const httpsAgent = new https.Agent({ rejectUnauthorized: false });
@@ -15,54 +48,832 @@ const httpAgent = new http.Agent();
  * Fetch wrapper for Synology API calls.
  * Includes a Referer header matching the server URL, which is required
  * for QuickConnect to return JSON API responses instead of HTML.
+ * A `timeout` of 0 (video streams) waits indefinitely.
  */
-async function synoFetch(url, serverUrl) {
+async function synoFetch(url, serverUrl, extraHeaders, timeout) {
   const agent = url.startsWith("https") ? httpsAgent : httpAgent;
-  const headers = {};
+  const headers = { ...extraHeaders };
   if (serverUrl) {
     headers["Referer"] = `https://${serverUrl}/`;
   }
-  const response = await fetch(url, { agent, headers });
+  const response = await fetch(url, { agent, headers, timeout: timeout || 0 });
   return response;
 }
 
+/**
+ * Fisher–Yates shuffle. Mutates and returns the array.
+ */
+function shuffleInPlace(items) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+/**
+ * Pick `count` items uniformly at random (partial Fisher–Yates on a copy).
+ */
+function pickRandom(items, count) {
+  const pool = items.slice();
+  const n = Math.min(count, pool.length);
+  for (let i = 0; i < n; i++) {
+    const j = i + Math.floor(Math.random() * (pool.length - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, n);
+}
+
+/**
+ * Pick `count` items at random, each with probability proportional to
+ * weightOf(item) (Efraimidis–Spirakis weighted sampling without replacement).
+ */
+function pickWeighted(items, count, weightOf) {
+  return items
+    .map((item) => ({ item, key: Math.pow(Math.random(), 1 / Math.max(weightOf(item), 1e-6)) }))
+    .sort((a, b) => b.key - a.key)
+    .slice(0, count)
+    .map((keyed) => keyed.item);
+}
+
+/**
+ * Take `count` entries from a list, newest-first or at random.
+ */
+function takeEntries(entries, count, sampling, weightOf) {
+  if (count <= 0) return [];
+  if (sampling === "newest") return entries.slice(0, count);
+  return weightOf ? pickWeighted(entries, count, weightOf) : pickRandom(entries, count);
+}
+
+/**
+ * Select `count` entries across weighted source pools. Each pool gets a share
+ * proportional to its weight; shares a pool can't fill are topped up from
+ * the remaining entries of all pools. With `weightOf`, random picks favour
+ * entries with a higher per-entry weight.
+ */
+function samplePools(pools, count, sampling, weightOf) {
+  const totalWeight = pools.reduce((sum, p) => sum + p.weight, 0);
+  const picked = new Set();
+  const selected = [];
+
+  for (const pool of pools) {
+    const share = Math.round((count * pool.weight) / totalWeight);
+    for (const entry of takeEntries(pool.entries, share, sampling, weightOf)) {
+      picked.add(entry);
+      selected.push(entry);
+    }
+  }
+
+  const rest = [];
+  for (const pool of pools) {
+    for (const entry of pool.entries) {
+      if (!picked.has(entry)) rest.push(entry);
+    }
+  }
+  if (sampling === "newest") rest.sort((a, b) => b.item.time - a.item.time);
+
+  return selected
+    .concat(takeEntries(rest, count - selected.length, sampling, weightOf))
+    .slice(0, count);
+}
+
+/**
+ * Levenshtein edit distance between two strings.
+ */
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row.push(Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Build a " Did you mean: ..." hint from the candidate names closest to `name`.
+ * Returns an empty string when nothing is reasonably close.
+ */
+function suggestNames(name, candidates) {
+  const wanted = name.trim().toLowerCase();
+  const scored = [];
+  for (const candidate of new Set(candidates.filter(Boolean))) {
+    const lower = candidate.toLowerCase();
+    const distance = lower.includes(wanted) || wanted.includes(lower)
+      ? 0
+      : editDistance(wanted, lower);
+    if (distance <= Math.max(2, Math.floor(wanted.length * 0.4))) {
+      scored.push({ candidate, distance });
+    }
+  }
+  if (scored.length === 0) return "";
+
+  scored.sort((a, b) => a.distance - b.distance);
+  return " Did you mean: " + scored.slice(0, 5).map((s) => `"${s.candidate}"`).join(", ") + "?";
+}
+
+/**
+ * Error for an album or folder name that doesn't exist on the NAS. The NAS
+ * answered, so this is a config problem rather than an outage.
+ */
+function notFoundError(message) {
+  const error = new Error(message);
+  error.notFound = true;
+  return error;
+}
+
+/**
+ * Last path segment of a Synology folder name ("/Vacations/2023" -> "2023").
+ */
+function folderBaseName(folderName) {
+  const parts = (folderName || "").split("/").filter(Boolean);
+  return parts.length ? parts[parts.length - 1] : "";
+}
+
+/**
+ * True if a taken time falls on today's date (or within three days of it, or
+ * in the same month) in an earlier year. Synology stores taken times as local
+ * wall-clock seconds, so the UTC fields hold the photo's own calendar date.
+ */
+function matchesMemoryWindow(time, window, today) {
+  const taken = new Date(time * 1000);
+  const year = taken.getUTCFullYear();
+  if (!time || year >= today.getFullYear()) return false;
+
+  if (window === "month") {
+    return taken.getUTCMonth() === today.getMonth();
+  }
+  if (window === "day") {
+    return taken.getUTCMonth() === today.getMonth() && taken.getUTCDate() === today.getDate();
+  }
+
+  // "week": compare day numbers against the anniversary, across year boundaries.
+  // Only anniversaries in earlier years count, so last week's photos don't match today
+  const takenDay = Math.floor((time * 1000) / DAY_MS);
+  const todayDay = Math.floor(Date.UTC(today.getFullYear(), today.getMonth(), today.getDate()) / DAY_MS);
+  return [year - 1, year, year + 1].some((y) => {
+    const anniversaryDay = Math.floor(Date.UTC(y, today.getMonth(), today.getDate()) / DAY_MS);
+    return anniversaryDay <= todayDay - 360 && Math.abs(takenDay - anniversaryDay) <= 3;
+  });
+}
+
+/**
+ * Narrow source pools to "on this day" photos, widening the window from the
+ * exact day to the week and then the month until at least `minPhotos` match.
+ * Returns the narrowed pools and the window used, or null if nothing matched.
+ */
+function selectMemories(pools, minPhotos, today) {
+  let best = null;
+  for (const window of MEMORY_WINDOWS) {
+    const narrowed = pools.map((pool) => ({
+      ...pool,
+      entries: pool.entries.filter((e) => matchesMemoryWindow(e.item.time, window, today)),
+    }));
+    const count = narrowed.reduce((sum, p) => sum + p.entries.length, 0);
+    if (count > 0) best = { pools: narrowed, window, count };
+    if (count >= minPhotos) break;
+  }
+  return best;
+}
+
+/**
+ * True if the value is a non-empty array.
+ */
+function hasValues(list) {
+  return Array.isArray(list) && list.length > 0;
+}
+
+/**
+ * Parse a filter date into epoch milliseconds. Accepts ISO dates
+ * ("2023-06-01") and relative ages ("12 months", "30 days", "2 years")
+ * meaning that long before now. Date-only values used as an upper bound
+ * include the whole day.
+ */
+function parseFilterDate(value, endOfDay) {
+  if (value === null || value === undefined || value === "") return null;
+
+  const relative = /^(\d+)\s*(day|week|month|year)s?$/i.exec(String(value).trim());
+  if (relative) {
+    const amount = parseInt(relative[1], 10);
+    const date = new Date();
+    const unit = relative[2].toLowerCase();
+    if (unit === "day") date.setDate(date.getDate() - amount);
+    else if (unit === "week") date.setDate(date.getDate() - amount * 7);
+    else if (unit === "month") date.setMonth(date.getMonth() - amount);
+    else date.setFullYear(date.getFullYear() - amount);
+    return date.getTime();
+  }
+
+  const parsed = Date.parse(value);
+  if (isNaN(parsed)) {
+    console.warn(`[MMM-SynologyPhotos] Ignoring invalid filter date: ${value}`);
+    return null;
+  }
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(String(value).trim());
+  return endOfDay && dateOnly ? parsed + DAY_MS - 1 : parsed;
+}
+
+/**
+ * True if any of the item's names matches any wanted name (case-insensitive).
+ */
+function matchesAnyName(entries, wanted) {
+  const names = (entries || []).map((e) => (e.name || "").toLowerCase());
+  return wanted.some((w) => names.includes(String(w).toLowerCase()));
+}
+
+/**
+ * Compile the `filters` config into a predicate over Synology list items.
+ * Every configured criterion must match; within a list, any value matches.
+ * Taken times are compared as wall-clock UTC, like Synology stores them.
+ */
+function buildFilter(filters) {
+  if (!filters) return () => true;
+
+  const from = parseFilterDate(filters.dateFrom, false);
+  const to = parseFilterDate(filters.dateTo, true);
+  const places = hasValues(filters.places) ? filters.places.map((p) => String(p).toLowerCase()) : null;
+
+  return (item) => {
+    const extra = item.additional || {};
+    const takenMs = (item.time || 0) * 1000;
+    if (from !== null && takenMs < from) return false;
+    if (to !== null && takenMs > to) return false;
+    if (hasValues(filters.tags) && !matchesAnyName(extra.tag, filters.tags)) return false;
+    if (hasValues(filters.people) && !matchesAnyName(extra.person, filters.people)) return false;
+    if (places) {
+      const address = Object.values(extra.address || {})
+        .filter((v) => typeof v === "string")
+        .join(", ")
+        .toLowerCase();
+      if (!places.some((p) => address.includes(p))) return false;
+    }
+    return true;
+  };
+}
+
+/**
+ * Fill in a configured source's defaults. Albums always live in personal space.
+ */
+function normalizeSource(s) {
+  const isAlbum = !!(s.albumId || s.albumName);
+  return {
+    space: !isAlbum && s.space === "shared" ? "shared" : "personal",
+    albumId: s.albumId || null,
+    albumName: s.albumId ? null : s.albumName || null,
+    folderId: isAlbum ? null : s.folderId || null,
+    folderPath: isAlbum || s.folderId ? null : s.folderPath || null,
+    weight: typeof s.weight === "number" && s.weight > 0 ? s.weight : 1,
+  };
+}
+
+/**
+ * Names of the {placeholders} used in an overlay template.
+ */
+function templatePlaceholders(template) {
+  const names = new Set();
+  for (const match of String(template || "").matchAll(/\{(\w+)\}/g)) names.add(match[1]);
+  return names;
+}
+
+/**
+ * Overlay details for a photo, limited to the placeholders the template
+ * uses. Empty values are left out so the frontend can drop their part.
+ * When Synology has no address for the photo, `geocoder` (if given) turns
+ * its GPS position into a city and country.
+ */
+function photoInfo(item, album, placeholders, geocoder) {
+  const extra = item.additional || {};
+  const address = extra.address || {};
+  const exif = extra.exif || {};
+  const names = (entries) => (entries || []).map((e) => e.name).filter(Boolean).join(", ");
+  let city = address.city || address.town || address.village || address.county || "";
+  let country = address.country || "";
+  if (!city && !country && geocoder && extra.gps) {
+    const found = geocoder.lookup(extra.gps.latitude, extra.gps.longitude);
+    if (found) {
+      city = found.city;
+      country = found.country;
+    }
+  }
+
+  const values = {
+    place: [city, country].filter(Boolean).join(", "),
+    city: city,
+    country: country,
+    camera: exif.camera || "",
+    lens: exif.lens || "",
+    people: names(extra.person),
+    tags: names(extra.tag),
+    description: extra.description || "",
+    album: album || "",
+  };
+  const info = {};
+  for (const [key, value] of Object.entries(values)) {
+    if (value && placeholders.has(key)) info[key] = value;
+  }
+  return info;
+}
+
+/**
+ * Require an optional dependency, or return null if it isn't installed.
+ */
+function optionalModule(name) {
+  try {
+    return require(name);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * True for HEIC photos (HEIF with HEVC), from the file's ftyp box.
+ */
+function isHevcHeif(data) {
+  return data.length > 12 &&
+    data.toString("latin1", 4, 8) === "ftyp" &&
+    HEVC_BRANDS.includes(data.toString("latin1", 8, 12));
+}
+
+/**
+ * Opaque token identifying a playlist entry in proxy URLs.
+ */
+function photoToken(space, id) {
+  return (space === "shared" ? "s" : "p") + id;
+}
+
+/**
+ * Disk cache key for a playlist entry's thumbnail: space, photo id,
+ * cache_key and size. The cache_key changes when the photo is edited.
+ */
+function thumbnailCacheKey(entry, size) {
+  return [entry.space, entry.id, entry.cacheKey, size]
+    .join("-")
+    .replace(/[^a-zA-Z0-9_-]/g, "_");
+}
+
+/**
+ * Exponential backoff for the n-th consecutive failure (1-based), capped at
+ * maxDelay, with up to 50% random jitter so several frames don't retry in sync.
+ */
+function backoffDelay(failures, baseDelay, maxDelay) {
+  const delay = Math.min(maxDelay, baseDelay * Math.pow(2, failures - 1));
+  return Math.round(delay * (0.5 + Math.random() * 0.5));
+}
+
+/**
+ * True if a Synology API response failed because the session is gone.
+ */
+function isSessionError(data) {
+  return !!(data && !data.success && data.error && SESSION_ERROR_CODES.includes(data.error.code));
+}
+
+/**
+ * True if the item has a thumbnail of the given size ready to download.
+ */
+function hasReadyThumbnail(item, size) {
+  const thumb = item.additional && item.additional.thumbnail;
+  return !!thumb && (thumb[size] === "ready" || thumb[size] === true);
+}
+
+/**
+ * Centre of the faces in a photo as fractions of its width and height, or
+ * null. Uses the face boxes Synology Photos attaches to recognized people
+ * ({ x, y, width, height } in 0..1); items without them return null.
+ */
+function faceFocus(item) {
+  const people = (item.additional && item.additional.person) || [];
+  const boxes = people.map((person) => person.bounding_box).filter((box) => box && box.width > 0 && box.height > 0);
+  if (boxes.length === 0) return null;
+
+  const left = Math.min(...boxes.map((b) => b.x));
+  const top = Math.min(...boxes.map((b) => b.y));
+  const right = Math.max(...boxes.map((b) => b.x + b.width));
+  const bottom = Math.max(...boxes.map((b) => b.y + b.height));
+  return { x: (left + right) / 2, y: (top + bottom) / 2 };
+}
+
 module.exports = NodeHelper.create({
   start: function () {
     console.log("[MMM-SynologyPhotos] Node helper started");
-    this.sid = null;
-    this.photos = [];
-    this.refreshTimer = null;
+    this.instances = {};
+    this.history = new DisplayHistory(HISTORY_FILE);
+    this.geocoders = {};
     this.setupProxy();
   },
 
+  /**
+   * Save caches and history, then end every Synology session. Returns the
+   * logout promise so MagicMirror can wait for it before exiting.
+   */
+  stop: function () {
+    const instances = Object.values(this.instances);
+    for (const instance of instances) {
+      if (instance.refreshTimer) clearTimeout(instance.refreshTimer);
+      if (instance.cache) instance.cache.save();
+    }
+    this.history.save();
+    return Promise.all(instances.map((instance) => instance.logout()));
+  },
+
+  /**
+   * State for one module instance, keyed by its MagicMirror identifier.
+   * The instance inherits every helper method, so the fetch, session and
+   * cache code below works on `this` unchanged while each instance keeps
+   * its own config, SID, playlist and timers. Its notifications carry the
+   * identifier so only the matching frontend instance reacts to them.
+   */
+  getInstance: function (identifier) {
+    if (!this.instances[identifier]) {
+      const helper = this;
+      const instance = Object.create(this);
+      Object.assign(instance, {
+        identifier: identifier,
+        config: {},
+        sid: null,
+        loginPromise: null,
+        connection: null,
+        connectionPromise: null,
+        nextResolveAt: 0,
+        resolveFailures: 0,
+        photos: [],
+        refreshTimer: null,
+        failures: 0,
+        fetching: false,
+        available: 0,
+        resolvedIds: {},
+        cache: null,
+        playlist: new Map(),
+        frameSize: DEFAULT_FRAME_SIZE,
+        pendingOriginals: new Map(),
+        sourceOverride: null,
+        fetchAgain: false,
+        refreshPaused: false,
+        refreshMissed: false,
+        sendSocketNotification: function (notification, payload) {
+          helper.sendSocketNotification(notification, { ...payload, identifier });
+        },
+      });
+      this.instances[identifier] = instance;
+    }
+    return this.instances[identifier];
+  },
+
+  /**
+   * Serve thumbnails and videos to the frontend. Routes take an opaque
+   * playlist token instead of a URL: the Synology URL (and its SID) is built
+   * here, and anything that isn't in the current playlist is rejected.
+   */
   setupProxy: function () {
     const self = this;
-    this.expressApp.get("/synology-photos/image", async (req, res) => {
-      const targetUrl = req.query.url;
-      if (!targetUrl) return res.status(400).send("Missing URL");
+    this.expressApp.get("/synology-photos/image/:instance/:token/:size", async (req, res) => {
+      const instance = self.instances[req.params.instance];
+      const entry = instance && instance.playlist.get(req.params.token);
+      const size = req.params.size;
+      // Only the size the playlist uses: no originals unless enabled, and never for videos
+      if (!entry || size !== instance.imageSize(entry.type) || !(THUMBNAIL_SIZES.includes(size) || size === ORIGINAL_SIZE)) {
+        return res.status(404).send("Unknown photo");
+      }
 
       try {
-        const response = await synoFetch(targetUrl, self.config.serverUrl);
+        const thumbnail = await instance.fetchImage(entry, size);
+        if (!thumbnail.ok) {
+          return res.status(thumbnail.status).send(thumbnail.statusText);
+        }
+        res.setHeader("Content-Type", thumbnail.contentType);
+        res.setHeader("Cache-Control", "public, max-age=86400"); // Cache for 24h
+        res.send(thumbnail.data);
+      } catch (err) {
+        console.error("[MMM-SynologyPhotos] Proxy error:", err.message);
+        res.status(500).send("Proxy error");
+      }
+    });
+
+    // Videos are streamed with Range support so the browser can seek and buffer
+    this.expressApp.get("/synology-photos/video/:instance/:token", async (req, res) => {
+      const instance = self.instances[req.params.instance];
+      const entry = instance && instance.playlist.get(req.params.token);
+      if (!entry || entry.type !== "video") {
+        return res.status(404).send("Unknown video");
+      }
+
+      try {
+        const rangeHeaders = req.headers.range ? { Range: req.headers.range } : {};
+        const response = await instance.fetchWithSession(() => instance.buildDownloadUrl(entry), rangeHeaders);
         if (!response.ok) {
           return res.status(response.status).send(response.statusText);
         }
-        res.setHeader("Content-Type", response.headers.get("content-type") || "image/jpeg");
-        res.setHeader("Cache-Control", "public, max-age=86400"); // Cache for 24h
+        const contentType = response.headers.get("content-type") || "";
+        res.status(response.status);
+        res.setHeader("Content-Type", contentType.startsWith("video/") ? contentType : "video/mp4");
+        res.setHeader("Accept-Ranges", "bytes");
+        for (const header of ["content-length", "content-range"]) {
+          const value = response.headers.get(header);
+          if (value) res.setHeader(header, value);
+        }
         response.body.pipe(res);
+        req.on("close", () => response.body.destroy());
       } catch (err) {
-        console.error("[MMM-SynologyPhotos] Proxy error:", err.message);
+        console.error("[MMM-SynologyPhotos] Video proxy error:", err.message);
         res.status(500).send("Proxy error");
       }
     });
   },
 
   socketNotificationReceived: function (notification, payload) {
+    if (!payload || !payload.identifier) return;
+
     if (notification === "SYNOLOGY_PHOTOS_FETCH") {
-      this.config = payload;
+      const instance = this.getInstance(payload.identifier);
+      instance.config = payload.config;
+      // Resolve QuickConnect again, the config may point somewhere else now
+      instance.connection = null;
+      if (payload.frameSize) instance.frameSize = payload.frameSize;
+      // A (re)started frontend has no playlist yet, so the next one goes out in full
+      instance.photos = [];
+      instance.sourceOverride = null;
+      const cacheSize = instance.config.cacheSize;
+      if (!instance.cache && cacheSize > 0) {
+        // One cache folder per instance, so offline playlists don't mix
+        const cacheDir = path.join(CACHE_DIR, payload.identifier.replace(/[^a-zA-Z0-9_-]/g, "_"));
+        instance.cache = new ThumbnailCache(cacheDir, cacheSize * 1024 * 1024);
+      }
+      instance.fetchPhotos();
+    } else if (notification === "SYNOLOGY_PHOTOS_PREFETCH") {
+      const instance = this.instances[payload.identifier];
+      if (instance) instance.prefetchThumbnails(payload.tokens || []);
+    } else if (notification === "SYNOLOGY_PHOTOS_SHOWN") {
+      const instance = this.instances[payload.identifier];
+      if (instance) instance.recordShown(payload.token);
+    } else if (notification === "SYNOLOGY_PHOTOS_REFRESH") {
+      const instance = this.instances[payload.identifier];
+      if (instance) instance.fetchPhotos();
+    } else if (notification === "SYNOLOGY_PHOTOS_SCHEDULE") {
+      const instance = this.instances[payload.identifier];
+      if (instance) instance.setRefreshPaused(!payload.refresh);
+    } else if (notification === "SYNOLOGY_PHOTOS_SWITCH_SOURCE") {
+      // The new photos reach the frontend as a regular playlist update
+      const instance = this.instances[payload.identifier];
+      if (instance) instance.switchSource(payload.source || null);
+    }
+  },
+
+  /**
+   * Show a source picked with SYNOLOGY_PHOTOS_SWITCH_SOURCE, or the
+   * configured sources again for null. The album or folder is looked up
+   * first: if that fails, the current sources stay and the frontend is
+   * told, rather than every later fetch failing on the same name.
+   */
+  switchSource: async function (source) {
+    const label = source ? this.describeSource(normalizeSource(source)) : "the configured sources";
+    if (source) {
+      try {
+        if (!(await this.ensureSession())) throw new Error("Login failed");
+        await this.resolveSources([normalizeSource(source)]);
+      } catch (error) {
+        console.error(`[MMM-SynologyPhotos] Could not switch to ${label}:`, error.message);
+        this.sendSocketNotification("SYNOLOGY_PHOTOS_SWITCH_FAILED", { source, error: error.message });
+        return;
+      }
+    }
+
+    this.sourceOverride = source;
+    console.log(`[MMM-SynologyPhotos] Switching to ${label}`);
+    this.fetchPhotos();
+  },
+
+  /**
+   * Add a displayed photo to the display history. With smartShuffle, once
+   * every photo in the playlist has been shown, fetch the next batch of
+   * unshown photos rather than looping over the same ones until the next
+   * scheduled refresh.
+   */
+  recordShown: function (token) {
+    if (!this.playlist.has(token)) return;
+    this.history.recordShown(this.identifier, token);
+
+    if (
+      this.config.smartShuffle &&
+      !this.refreshPaused &&
+      this.failures === 0 &&
+      this.available > this.photos.length &&
+      this.photos.every((p) => this.history.shownThisCycle(this.identifier, p.token))
+    ) {
+      console.log("[MMM-SynologyPhotos] Playlist fully shown, fetching the next batch");
       this.fetchPhotos();
     }
   },
 
+  /**
+   * Smart shuffle: pick photos not yet shown in the current cycle, favouring
+   * ones shown longest ago (and, with ratingWeight, higher-rated ones). When
+   * fewer than `count` unshown photos remain, take them all, start a new
+   * cycle and fill up from the rest of the pool.
+   */
+  selectUnshown: function (pools, count) {
+    const history = this.history;
+    const now = Date.now();
+    const ratingWeight = this.config.ratingWeight || 0;
+    const weightOf = (entry) => {
+      const last = history.lastShown(this.identifier, entry.token);
+      // Ramps from 5% right after being shown back to full weight after 30 days
+      let weight = last ? Math.min(1, 0.05 + (now - last) / (30 * DAY_MS)) : 1;
+      if (ratingWeight > 0) weight *= 1 + ratingWeight * (entry.item.additional.rating || 0);
+      return weight;
+    };
+
+    const unshown = pools.map((pool) => ({
+      ...pool,
+      entries: pool.entries.filter((e) => !history.shownThisCycle(this.identifier, e.token)),
+    }));
+    const selected = samplePools(unshown, count, "random", weightOf);
+
+    if (selected.length < count) {
+      console.log("[MMM-SynologyPhotos] Every photo has been shown, starting a new cycle");
+      history.startNewCycle(this.identifier);
+      const picked = new Set(selected);
+      const rest = pools.map((pool) => ({
+        ...pool,
+        entries: pool.entries.filter((e) => !picked.has(e)),
+      }));
+      selected.push(...samplePools(rest, count - selected.length, "random", weightOf));
+    }
+    return selected;
+  },
+
+  /**
+   * Proxy URL for a playlist entry's image at the configured size.
+   */
+  imageUrl: function (token, type) {
+    return `/synology-photos/image/${encodeURIComponent(this.identifier)}/${token}/${this.imageSize(type)}`;
+  },
+
+  /**
+   * Size the frontend shows: a Synology thumbnail size, or "original".
+   * Videos always get a thumbnail, their original is the whole clip.
+   */
+  imageSize: function (type) {
+    return this.config.originals && type !== "video" ? ORIGINAL_SIZE : this.config.thumbnailSize || "xl";
+  },
+
+  /**
+   * Disk cache key for an entry's image. Scaled originals are keyed by the
+   * frame size, so resizing the module doesn't serve stale sizes.
+   */
+  imageCacheKey: function (entry, size) {
+    if (size !== ORIGINAL_SIZE) return thumbnailCacheKey(entry, size);
+    const frame = this.frameSize;
+    return thumbnailCacheKey(entry, `${frame.width}x${frame.height}`);
+  },
+
+  fetchImage: function (entry, size) {
+    return size === ORIGINAL_SIZE ? this.fetchOriginal(entry) : this.fetchThumbnail(entry, size);
+  },
+
+  /**
+   * Proxy URL for streaming a playlist entry's video.
+   */
+  videoUrl: function (token) {
+    return `/synology-photos/video/${encodeURIComponent(this.identifier)}/${token}`;
+  },
+
+  /**
+   * Get a playlist entry's thumbnail, from the disk cache if possible,
+   * otherwise from the NAS (storing it in the cache on the way).
+   * Resolves to { ok, data, contentType } or { ok: false, status, statusText }.
+   */
+  fetchThumbnail: async function (entry, size) {
+    const cacheKey = thumbnailCacheKey(entry, size);
+    if (this.cache) {
+      const hit = await this.cache.get(cacheKey);
+      if (hit) return { ok: true, data: hit.data, contentType: hit.contentType || "image/jpeg" };
+    }
+
+    const response = await this.fetchWithSession(() => this.buildThumbnailUrl(entry, size), {}, REQUEST_TIMEOUT);
+    if (!response.ok) {
+      return { ok: false, status: response.status, statusText: response.statusText };
+    }
+
+    const data = await response.buffer();
+    const contentType = response.headers.get("content-type") || "image/jpeg";
+    if (this.cache) {
+      try {
+        await this.cache.put(cacheKey, data, contentType, entry);
+      } catch (error) {
+        console.warn("[MMM-SynologyPhotos] Could not cache thumbnail:", error.message);
+      }
+    }
+    return { ok: true, data, contentType };
+  },
+
+  /**
+   * Scale an entry's original to the frame size, from the disk cache if
+   * possible. The original is downloaded from the NAS, HEIC is converted,
+   * EXIF rotation applied and the result stored as JPEG. Falls back to the
+   * xl thumbnail when sharp isn't installed or the original can't be read.
+   * Concurrent requests for the same photo share one conversion.
+   */
+  fetchOriginal: async function (entry) {
+    const cacheKey = this.imageCacheKey(entry, ORIGINAL_SIZE);
+    if (this.cache) {
+      const hit = await this.cache.get(cacheKey);
+      if (hit) return { ok: true, data: hit.data, contentType: hit.contentType || "image/jpeg" };
+    }
+
+    const sharp = optionalModule("sharp");
+    if (!sharp) {
+      if (!this.warnedNoSharp) {
+        console.warn("[MMM-SynologyPhotos] originals needs the sharp package (npm install sharp), using thumbnails");
+        this.warnedNoSharp = true;
+      }
+      return this.fetchThumbnail(entry, "xl");
+    }
+
+    if (!this.pendingOriginals.has(cacheKey)) {
+      const pending = this.convertOriginal(sharp, entry, cacheKey)
+        .finally(() => this.pendingOriginals.delete(cacheKey));
+      this.pendingOriginals.set(cacheKey, pending);
+    }
+    try {
+      return await this.pendingOriginals.get(cacheKey);
+    } catch (error) {
+      console.warn(`[MMM-SynologyPhotos] Could not use the original of ${entry.photo.filename} (${error.message}), using its thumbnail`);
+      return this.fetchThumbnail(entry, "xl");
+    }
+  },
+
+  convertOriginal: async function (sharp, entry, cacheKey) {
+    const response = await this.fetchWithSession(() => this.buildDownloadUrl(entry), {}, DOWNLOAD_TIMEOUT);
+    if (!response.ok) throw new Error(`download failed with HTTP ${response.status}`);
+    let data = await response.buffer();
+
+    if (isHevcHeif(data)) {
+      const convert = optionalModule("heic-convert");
+      if (!convert) throw new Error("HEIC needs the heic-convert package");
+      data = Buffer.from(await convert({ buffer: data, format: "JPEG", quality: 0.92 }));
+    }
+
+    const { width, height } = this.frameSize;
+    const resized = await sharp(data)
+      .rotate()
+      .resize(width, height, { fit: "inside", withoutEnlargement: true })
+      .jpeg({ quality: 90 })
+      .toBuffer();
+
+    if (this.cache) {
+      try {
+        await this.cache.put(cacheKey, resized, "image/jpeg", entry);
+      } catch (error) {
+        console.warn("[MMM-SynologyPhotos] Could not cache photo:", error.message);
+      }
+    }
+    return { ok: true, data: resized, contentType: "image/jpeg" };
+  },
+
+  /**
+   * Download upcoming images into the disk cache so they are ready (and
+   * available offline) before the frontend asks for them.
+   */
+  prefetchThumbnails: async function (tokens) {
+    // Leave an unreachable NAS alone instead of trying it once per slide; the backoff retry checks it
+    if (!this.cache || this.refreshPaused || this.failures > 0) return;
+    const size = this.imageSize();
+
+    for (const token of tokens) {
+      const entry = this.playlist.get(token);
+      if (!entry || entry.type === "video" || this.cache.has(this.imageCacheKey(entry, size))) continue;
+
+      try {
+        await this.fetchImage(entry, size);
+      } catch (error) {
+        console.warn("[MMM-SynologyPhotos] Prefetch failed:", error.message);
+      }
+    }
+  },
+
+  /**
+   * When the NAS can't be reached, fall back to a playlist made of the photos
+   * whose thumbnails are in the disk cache. Returns false if there are none.
+   */
+  sendCachedPlaylist: function () {
+    // Videos are streamed from the NAS, so they can't play offline
+    const entries = this.cache ? this.cache.allMeta().filter((entry) => entry.type !== "video") : [];
+    if (entries.length === 0) return false;
+
+    this.playlist = new Map(entries.map((entry) => [entry.photo.token, entry]));
+    const photos = Array.from(this.playlist.values(), (entry) => ({
+      ...entry.photo,
+      url: this.imageUrl(entry.photo.token, entry.type),
+    }));
+    if (this.config.shuffle) shuffleInPlace(photos);
+    this.photos = photos;
+    this.sendSocketNotification("SYNOLOGY_PHOTOS_DATA", { photos, offline: true });
+    console.log(`[MMM-SynologyPhotos] NAS unavailable, showing ${photos.length} cached photos`);
+    return true;
+  },
+
   /**
    * Load saved device token for 2FA bypass.
    */
@@ -86,13 +897,9 @@ module.exports = NodeHelper.create({
    * If a device token exists, uses it to bypass 2FA OTP.
    */
   login: async function () {
-    const { serverUrl, account, password, port, secure } = this.config;
-    const protocol = secure ? "https" : "http";
-    const portStr = port ? `:${port}` : "";
-    const baseUrl = `${protocol}://${serverUrl}${portStr}`;
-
-    const apiPath = this.getApiPath();
-    const loginUrl = `${baseUrl}${apiPath}/auth.cgi`;
+    const { account, password } = this.config;
+    await this.ensureConnection();
+    const loginUrl = `${this.getBaseUrl()}${this.getApiPath()}/auth.cgi`;
     const params = new URLSearchParams({
       api: "SYNO.API.Auth",
       version: "6",
@@ -109,7 +916,7 @@ module.exports = NodeHelper.create({
     }
 
     try {
-      const response = await synoFetch(`${loginUrl}?${params.toString()}`, serverUrl);
+      const response = await this.request(`${loginUrl}?${params.toString()}`, {}, REQUEST_TIMEOUT);
       const data = await response.json();
 
       if (data.success && data.data && data.data.sid) {
@@ -130,17 +937,101 @@ module.exports = NodeHelper.create({
     }
   },
 
+  /**
+   * Make sure there is a session, logging in only if there is no SID yet.
+   * The SID is reused across refreshes until Synology reports it invalid.
+   */
+  ensureSession: async function () {
+    if (this.sid) return true;
+    return this.renewSession(null);
+  },
+
+  /**
+   * Log in again after `staleSid` was rejected. Concurrent callers share one
+   * login, and a caller whose SID was already replaced just uses the new one.
+   */
+  renewSession: function (staleSid) {
+    if (this.sid && this.sid !== staleSid) return Promise.resolve(true);
+    if (!this.loginPromise) {
+      this.sid = null;
+      this.loginPromise = this.login().finally(() => {
+        this.loginPromise = null;
+      });
+    }
+    return this.loginPromise;
+  },
+
+  /**
+   * End the Synology session. Called from stop() so sessions don't pile up on the NAS.
+   */
+  logout: async function () {
+    if (!this.sid) return;
+    const sid = this.sid;
+    this.sid = null;
+
+    const params = new URLSearchParams({
+      api: "SYNO.API.Auth",
+      version: "6",
+      method: "logout",
+      _sid: sid,
+    });
+    try {
+      await this.request(`${this.getBaseUrl()}${this.getApiPath()}/auth.cgi?${params.toString()}`, {}, REQUEST_TIMEOUT);
+      console.log("[MMM-SynologyPhotos] Logged out");
+    } catch (error) {
+      console.warn("[MMM-SynologyPhotos] Logout failed:", error.message);
+    }
+  },
+
+  /**
+   * Fetch a file (thumbnail, video) whose URL embeds the SID. Synology
+   * answers an invalid session with a JSON error instead of the file, so
+   * detect that, log in again and retry once. `buildUrl` is called per
+   * attempt so the retry picks up the new SID. Pass no `timeout` for
+   * streams that stay open.
+   */
+  fetchWithSession: async function (buildUrl, extraHeaders, timeout) {
+    if (!(await this.ensureSession())) {
+      return { ok: false, status: 503, statusText: "Not logged in" };
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      const sid = this.sid;
+      await this.ensureConnection();
+      const response = await this.request(buildUrl(), extraHeaders, timeout);
+      const contentType = response.headers.get("content-type") || "";
+      if (!response.ok || !contentType.includes("json")) return response;
+
+      const data = await response.json();
+      const errCode = data.error ? data.error.code : "unknown";
+      if (attempt === 0 && isSessionError(data)) {
+        console.log(`[MMM-SynologyPhotos] Session expired (error code: ${errCode}), logging in again`);
+        if (await this.renewSession(sid)) continue;
+      }
+      return { ok: false, status: 502, statusText: `Synology error ${errCode}` };
+    }
+  },
+
   /**
    * Detect if the server URL is a QuickConnect address.
    */
   isQuickConnect: function () {
-    return (this.config.serverUrl || "").includes("quickconnect.to");
+    return isQuickConnectHost(this.config.serverUrl);
   },
 
   /**
-   * Build the base URL for API requests.
+   * Build the base URL for API requests: the address QuickConnect resolved
+   * to, or the configured server.
    */
   getBaseUrl: function () {
+    if (this.connection) return this.connection.baseUrl;
+    return this.getConfiguredUrl();
+  },
+
+  /**
+   * Base URL built from the serverUrl, port and secure options.
+   */
+  getConfiguredUrl: function () {
     const { serverUrl, port, secure } = this.config;
     const protocol = secure !== false ? "https" : "http";
     const portStr = port ? `:${port}` : "";
@@ -153,106 +1044,393 @@ module.exports = NodeHelper.create({
    * Direct IP/LAN connections use the standard /photo/webapi/ path.
    */
   getApiPath: function () {
+    if (this.connection) return this.connection.apiPath;
     return this.isQuickConnect() ? "/webapi" : "/photo/webapi";
   },
 
   /**
-   * Fetch photos from personal space using SYNO.Foto.Browse.Item.
+   * Make sure a QuickConnect address has been resolved. Concurrent callers
+   * share one resolution. Direct addresses need none.
    */
-  fetchPersonalPhotos: async function (offset, limit) {
+  ensureConnection: function () {
+    if (!this.isQuickConnect() || this.connection) return Promise.resolve();
+    if (!this.connectionPromise) {
+      this.connectionPromise = this.resolveConnection().finally(() => {
+        this.connectionPromise = null;
+      });
+    }
+    return this.connectionPromise;
+  },
+
+  /**
+   * Look up the QuickConnect ID with Synology's relay and probe the LAN,
+   * DDNS and external addresses it reports, plus the QuickConnect hostname
+   * itself. The fastest one that answers SYNO.API.Info is used until it
+   * stops responding. If none answer, keep using the QuickConnect hostname.
+   */
+  resolveConnection: async function () {
+    const { serverUrl } = this.config;
+    const fallback = { url: this.getConfiguredUrl(), label: "QuickConnect" };
+    let candidates = [];
+    try {
+      candidates = await resolveQuickConnect(serverUrl);
+    } catch (error) {
+      console.warn("[MMM-SynologyPhotos] QuickConnect relay lookup failed:", error.message);
+    }
+
+    const best = await pickFastest(candidates.concat(fallback), serverUrl);
+    if (best) {
+      console.log(`[MMM-SynologyPhotos] QuickConnect resolved to ${best.label}: ${best.baseUrl}${best.apiPath} (${best.latency} ms)`);
+      this.connection = best;
+      this.resolveFailures = 0;
+      this.nextResolveAt = Date.now() + RESOLVE_INTERVAL;
+    } else {
+      console.warn(`[MMM-SynologyPhotos] No address of ${serverUrl} answered, using the QuickConnect hostname`);
+      this.connection = { baseUrl: fallback.url, apiPath: "/webapi", label: fallback.label };
+      this.resolveFailures++;
+      this.nextResolveAt = Date.now() + backoffDelay(this.resolveFailures, RESOLVE_INTERVAL, RESOLVE_MAX_INTERVAL);
+    }
+  },
+
+  /**
+   * Fetch a NAS URL. If the address QuickConnect resolved to stops
+   * responding (fails or runs past `timeout`), resolve again and retry once
+   * on the new address. Until nextResolveAt the failure is just passed on.
+   */
+  request: async function (url, extraHeaders, timeout, isRetry) {
+    const connection = this.connection;
+    try {
+      return await synoFetch(url, this.config.serverUrl, extraHeaders, timeout);
+    } catch (error) {
+      const prefix = connection ? connection.baseUrl + connection.apiPath : null;
+      if (!prefix || !url.startsWith(prefix)) throw error;
+
+      if (this.connection === connection) {
+        if (Date.now() < this.nextResolveAt) throw error;
+        console.warn(`[MMM-SynologyPhotos] ${connection.label} stopped responding (${error.code || error.type || error.message}), resolving QuickConnect again`);
+        this.connection = null;
+      }
+      await this.ensureConnection();
+      const current = this.connection;
+      if (isRetry || !current || current.baseUrl + current.apiPath === prefix) throw error;
+      return this.request(current.baseUrl + current.apiPath + url.slice(prefix.length), extraHeaders, timeout, true);
+    }
+  },
+
+  /**
+   * Call a Synology Photos web API method through entry.cgi and return the parsed JSON.
+   */
+  callApi: async function (api, method, params, isRetry) {
+    await this.ensureConnection();
+    const sid = this.sid;
     const baseUrl = this.getBaseUrl();
     const apiPath = this.getApiPath();
     const url = `${baseUrl}${apiPath}/entry.cgi`;
-    const params = new URLSearchParams({
-      api: "SYNO.Foto.Browse.Item",
+    const query = new URLSearchParams({
+      api: api,
       version: "1",
-      method: "list",
-      type: "photo",
-      offset: offset.toString(),
-      limit: limit.toString(),
-      _sid: this.sid,
-      additional: '["thumbnail","resolution"]',
+      method: method,
+      ...params,
+      _sid: sid,
     });
 
-    const response = await synoFetch(`${url}?${params.toString()}`, this.config.serverUrl);
-    return response.json();
+    const response = await this.request(`${url}?${query.toString()}`, {}, REQUEST_TIMEOUT);
+    const data = await response.json();
+
+    if (!isRetry && isSessionError(data)) {
+      console.log(`[MMM-SynologyPhotos] Session expired (error code: ${data.error.code}), logging in again`);
+      if (await this.renewSession(sid)) return this.callApi(api, method, params, true);
+    }
+    return data;
   },
 
   /**
-   * Fetch photos from shared/team space using SYNO.FotoTeam.Browse.Item.
+   * Collect every entry of a paged `list` method (albums, folders).
    */
-  fetchTeamPhotos: async function (offset, limit) {
-    const baseUrl = this.getBaseUrl();
-    const apiPath = this.getApiPath();
-    const url = `${baseUrl}${apiPath}/entry.cgi`;
-    const params = new URLSearchParams({
-      api: "SYNO.FotoTeam.Browse.Item",
-      version: "1",
-      method: "list",
-      type: "photo",
+  listAll: async function (api, params) {
+    const pageSize = 100;
+    const entries = [];
+    for (let offset = 0; ; offset += pageSize) {
+      const data = await this.callApi(api, "list", { ...params, offset, limit: pageSize });
+      if (!data.success) {
+        const errCode = data.error ? data.error.code : "unknown";
+        throw new Error(`${api} list failed (error code: ${errCode})`);
+      }
+      const list = data.data.list || [];
+      entries.push(...list);
+      if (list.length < pageSize) return entries;
+    }
+  },
+
+  /**
+   * List items through a SYNO.Foto(Team).Browse.Item endpoint, newest first.
+   * Shared by the personal, team, album and folder fetchers below.
+   */
+  fetchItems: async function (api, offset, limit, extraParams) {
+    return this.callApi(api, "list", {
+      // Without a type filter the list includes videos as well as photos
+      ...(this.config.includeVideos ? {} : { type: "photo" }),
       offset: offset.toString(),
       limit: limit.toString(),
-      _sid: this.sid,
-      additional: '["thumbnail","resolution"]',
+      sort_by: "takentime",
+      sort_direction: "desc",
+      additional: JSON.stringify(this.getAdditionalFields()),
+      ...extraParams,
     });
+  },
 
-    const response = await synoFetch(`${url}?${params.toString()}`, this.config.serverUrl);
-    return response.json();
+  /**
+   * Metadata fields to request with each item. Tags, people, address, EXIF
+   * and description are only requested when a filter, Ken Burns or the
+   * overlay template needs them, to keep list responses small.
+   */
+  getAdditionalFields: function () {
+    const fields = ["thumbnail", "resolution"];
+    const filters = this.config.filters || {};
+    const overlay = templatePlaceholders(this.config.overlayTemplate);
+    const uses = (...names) => names.some((name) => overlay.has(name));
+    if (hasValues(filters.tags) || uses("tags")) fields.push("tag");
+    if (hasValues(filters.people) || this.config.kenBurns || uses("people")) fields.push("person");
+    if (hasValues(filters.places) || uses("place", "city", "country")) fields.push("address");
+    if (this.config.reverseGeocode && uses("place", "city", "country")) fields.push("gps");
+    if (uses("camera", "lens")) fields.push("exif");
+    if (uses("description")) fields.push("description");
+    if (this.config.smartShuffle && this.config.ratingWeight > 0) fields.push("rating");
+    return fields;
+  },
+
+  /**
+   * Fetch photos from personal space using SYNO.Foto.Browse.Item.
+   */
+  fetchPersonalPhotos: async function (offset, limit) {
+    return this.fetchItems("SYNO.Foto.Browse.Item", offset, limit);
+  },
+
+  /**
+   * Fetch photos from shared/team space using SYNO.FotoTeam.Browse.Item.
+   */
+  fetchTeamPhotos: async function (offset, limit) {
+    return this.fetchItems("SYNO.FotoTeam.Browse.Item", offset, limit);
   },
 
   /**
    * Fetch photos from a specific album by ID.
    */
   fetchAlbumPhotos: async function (albumId, offset, limit) {
-    const baseUrl = this.getBaseUrl();
-    const apiPath = this.getApiPath();
-    const url = `${baseUrl}${apiPath}/entry.cgi`;
-    const params = new URLSearchParams({
-      api: "SYNO.Foto.Browse.Item",
-      version: "1",
-      method: "list",
-      type: "photo",
-      offset: offset.toString(),
-      limit: limit.toString(),
+    return this.fetchItems("SYNO.Foto.Browse.Item", offset, limit, {
       album_id: albumId.toString(),
-      _sid: this.sid,
-      additional: '["thumbnail","resolution"]',
     });
-
-    const response = await synoFetch(`${url}?${params.toString()}`, this.config.serverUrl);
-    return response.json();
   },
 
   /**
    * Fetch photos from a specific folder by ID.
    */
   fetchFolderPhotos: async function (folderId, offset, limit) {
-    const baseUrl = this.getBaseUrl();
-    const apiPath = this.getApiPath();
-    const url = `${baseUrl}${apiPath}/entry.cgi`;
-    const params = new URLSearchParams({
-      api: "SYNO.Foto.Browse.Item",
-      version: "1",
-      method: "list",
-      type: "photo",
-      offset: offset.toString(),
-      limit: limit.toString(),
+    return this.fetchItems("SYNO.Foto.Browse.Item", offset, limit, {
+      folder_id: folderId.toString(),
+    });
+  },
+
+  /**
+   * Fetch photos from a folder in shared/team space.
+   */
+  fetchTeamFolderPhotos: async function (folderId, offset, limit) {
+    return this.fetchItems("SYNO.FotoTeam.Browse.Item", offset, limit, {
       folder_id: folderId.toString(),
-      _sid: this.sid,
-      additional: '["thumbnail","resolution"]',
     });
+  },
+
+  /**
+   * Normalize the photo sources to fetch from. Without a `sources` array the
+   * legacy albumId / folderId / sharedSpace options describe a single source.
+   * A source picked with SYNOLOGY_PHOTOS_SWITCH_SOURCE replaces both until
+   * it is switched back.
+   */
+  getSources: function () {
+    let configured;
+    if (this.sourceOverride) {
+      configured = [this.sourceOverride];
+    } else if (Array.isArray(this.config.sources) && this.config.sources.length > 0) {
+      configured = this.config.sources;
+    } else {
+      configured = [{
+        space: this.config.sharedSpace ? "shared" : "personal",
+        albumId: this.config.albumId,
+        albumName: this.config.albumName,
+        folderId: this.config.folderId,
+        folderPath: this.config.folderPath,
+      }];
+    }
+
+    return configured.map(normalizeSource);
+  },
+
+  /**
+   * Fill in albumId / folderId for sources configured by albumName / folderPath.
+   * Resolved IDs are cached for the lifetime of the helper.
+   */
+  resolveSources: async function (sources) {
+    const resolved = [];
+    for (const source of sources) {
+      const copy = { ...source };
+      if (copy.albumName && !copy.albumId) {
+        copy.albumId = await this.resolveAlbumName(copy.albumName);
+      } else if (copy.folderPath && !copy.folderId) {
+        copy.folderId = await this.resolveFolderPath(copy.space, copy.folderPath);
+      } else if (copy.albumId && !copy.albumName && templatePlaceholders(this.config.overlayTemplate).has("album")) {
+        copy.albumName = await this.lookupAlbumName(copy.albumId);
+      }
+      resolved.push(copy);
+    }
+    return resolved;
+  },
+
+  /**
+   * Name of an album configured by ID, for the {album} overlay placeholder.
+   * Returns null (and leaves {album} empty) if the album isn't listed.
+   */
+  lookupAlbumName: async function (albumId) {
+    const cacheKey = `albumName:${albumId}`;
+    if (!(cacheKey in this.resolvedIds)) {
+      const albums = await this.listAll("SYNO.Foto.Browse.Album", {});
+      const match = albums.find((a) => String(a.id) === String(albumId));
+      this.resolvedIds[cacheKey] = match ? match.name : null;
+    }
+    return this.resolvedIds[cacheKey];
+  },
+
+  /**
+   * Look up a personal-space album ID by its name (case-insensitive).
+   */
+  resolveAlbumName: async function (albumName) {
+    const cacheKey = `album:${albumName}`;
+    if (this.resolvedIds[cacheKey]) return this.resolvedIds[cacheKey];
+
+    const albums = await this.listAll("SYNO.Foto.Browse.Album", {});
+    const wanted = albumName.trim().toLowerCase();
+    const match = albums.find((a) => (a.name || "").trim().toLowerCase() === wanted);
+    if (!match) {
+      throw notFoundError(
+        `Album "${albumName}" not found.` + suggestNames(albumName, albums.map((a) => a.name))
+      );
+    }
 
-    const response = await synoFetch(`${url}?${params.toString()}`, this.config.serverUrl);
-    return response.json();
+    console.log(`[MMM-SynologyPhotos] Resolved album "${albumName}" to ID ${match.id}`);
+    this.resolvedIds[cacheKey] = match.id;
+    return match.id;
+  },
+
+  /**
+   * Look up a folder ID by its path (e.g. "/Vacations/2023"), walking the
+   * folder tree one level at a time from the root of the given space.
+   */
+  resolveFolderPath: async function (space, folderPath) {
+    const cacheKey = `folder:${space}:${folderPath}`;
+    if (this.resolvedIds[cacheKey]) return this.resolvedIds[cacheKey];
+
+    const api = space === "shared" ? "SYNO.FotoTeam.Browse.Folder" : "SYNO.Foto.Browse.Folder";
+    const root = await this.callApi(api, "get", {});
+    if (!root.success || !root.data || !root.data.folder) {
+      const errCode = root.error ? root.error.code : "unknown";
+      throw new Error(`Could not read the ${space} space folder tree (error code: ${errCode})`);
+    }
+
+    let folder = root.data.folder;
+    for (const segment of folderPath.split("/").filter(Boolean)) {
+      const children = await this.listAll(api, { id: folder.id });
+      const wanted = segment.toLowerCase();
+      const match = children.find((c) => folderBaseName(c.name).toLowerCase() === wanted);
+      if (!match) {
+        throw notFoundError(
+          `Folder "${folderPath}" not found in ${space} space (no "${segment}" under "${folder.name || "/"}").` +
+          suggestNames(segment, children.map((c) => folderBaseName(c.name)))
+        );
+      }
+      folder = match;
+    }
+
+    console.log(`[MMM-SynologyPhotos] Resolved ${space} folder "${folderPath}" to ID ${folder.id}`);
+    this.resolvedIds[cacheKey] = folder.id;
+    return folder.id;
+  },
+
+  /**
+   * Human-readable label for a source, used in log messages.
+   */
+  describeSource: function (source) {
+    if (source.albumName) return `album "${source.albumName}"`;
+    if (source.folderPath) return `${source.space} folder "${source.folderPath}"`;
+    if (source.albumId) return `album ${source.albumId}`;
+    if (source.folderId) return `${source.space} folder ${source.folderId}`;
+    return `${source.space} space`;
+  },
+
+  /**
+   * Fetch one page from the given source.
+   */
+  fetchPage: function (source, offset, limit) {
+    if (source.albumId) {
+      return this.fetchAlbumPhotos(source.albumId, offset, limit);
+    } else if (source.folderId) {
+      return source.space === "shared"
+        ? this.fetchTeamFolderPhotos(source.folderId, offset, limit)
+        : this.fetchFolderPhotos(source.folderId, offset, limit);
+    } else if (source.space === "shared") {
+      return this.fetchTeamPhotos(offset, limit);
+    }
+    return this.fetchPersonalPhotos(offset, limit);
+  },
+
+  /**
+   * Walk a source with offset/limit pages until a short page marks the end.
+   * Up to `pageConcurrency` pages are requested at once.
+   * If maxItems is given, stop as soon as that many items have been seen.
+   */
+  fetchAllItems: async function (source, maxItems) {
+    let pageSize = Math.max(1, this.config.pageSize || 500);
+    if (maxItems) pageSize = Math.min(pageSize, maxItems);
+    const concurrency = Math.max(1, this.config.pageConcurrency || 3);
+    const items = [];
+    let offset = 0;
+    let done = false;
+
+    while (!done) {
+      const wave = maxItems
+        ? Math.min(concurrency, Math.ceil((maxItems - items.length) / pageSize))
+        : concurrency;
+      const offsets = [];
+      for (let i = 0; i < wave; i++) {
+        offsets.push(offset + i * pageSize);
+      }
+      offset += wave * pageSize;
+
+      const pages = await Promise.all(offsets.map((o) => this.fetchPage(source, o, pageSize)));
+      for (const data of pages) {
+        if (!data.success) {
+          const errCode = data.error ? data.error.code : "unknown";
+          throw new Error(`Photo list request failed (error code: ${errCode})`);
+        }
+        const list = data.data.list || [];
+        for (const item of list) items.push(item);
+        if (list.length < pageSize) {
+          done = true;
+          break;
+        }
+      }
+
+      if (maxItems && items.length >= maxItems) done = true;
+      console.log(`[MMM-SynologyPhotos] Scanned ${items.length} items from ${this.describeSource(source)}${done ? "" : "..."}`);
+    }
+
+    return maxItems ? items.slice(0, maxItems) : items;
   },
 
   /**
    * Build a thumbnail URL for a given photo object.
    */
-  buildThumbnailUrl: function (photo, size) {
+  buildThumbnailUrl: function (entry, size) {
     const baseUrl = this.getBaseUrl();
-    const cacheKey = photo.additional.thumbnail.cache_key;
-    const apiName = this.config.sharedSpace
+    const apiName = entry.space === "shared"
       ? "SYNO.FotoTeam.Thumbnail"
       : "SYNO.Foto.Thumbnail";
 
@@ -263,10 +1441,32 @@ module.exports = NodeHelper.create({
       `&version=1` +
       `&method=get` +
       `&mode=download` +
-      `&id=${photo.id}` +
+      `&id=${entry.id}` +
       `&type=unit` +
       `&size=${size}` +
-      `&cache_key=${cacheKey}` +
+      `&cache_key=${entry.cacheKey}` +
+      `&_sid=${this.sid}`
+    );
+  },
+
+  /**
+   * Build a download URL for an item's original file: videos, and photos
+   * with the `originals` option.
+   */
+  buildDownloadUrl: function (entry) {
+    const baseUrl = this.getBaseUrl();
+    const apiPath = this.getApiPath();
+    const apiName = entry.space === "shared"
+      ? "SYNO.FotoTeam.Download"
+      : "SYNO.Foto.Download";
+
+    return (
+      `${baseUrl}${apiPath}/entry.cgi` +
+      `?api=${apiName}` +
+      `&version=1` +
+      `&method=download` +
+      `&unit_id=${encodeURIComponent(`[${entry.id}]`)}` +
+      `&cache_key=${entry.cacheKey}` +
       `&_sid=${this.sid}`
     );
   },
@@ -275,75 +1475,220 @@ module.exports = NodeHelper.create({
    * Main fetch orchestrator: login, gather photos, send to frontend.
    */
   fetchPhotos: async function () {
+    // A refresh or source switch asked for mid-fetch runs once this one is done
+    if (this.fetching) {
+      this.fetchAgain = true;
+      return;
+    }
+    this.fetching = true;
+    this.fetchAgain = false;
     try {
-      const loggedIn = await this.login();
+      const loggedIn = await this.ensureSession();
       if (!loggedIn) {
-        this.sendSocketNotification("SYNOLOGY_PHOTOS_ERROR", {
-          error: "Login failed. Check your credentials and server URL.",
-        });
+        this.handleFetchFailure("Login failed. Check your credentials and server URL.");
         return;
       }
 
       const limit = this.config.numPhotos || 100;
       const thumbnailSize = this.config.thumbnailSize || "xl";
-      let photoList = [];
-
-      if (this.config.albumId) {
-        const data = await this.fetchAlbumPhotos(this.config.albumId, 0, limit);
-        if (data.success) photoList = data.data.list;
-      } else if (this.config.folderId) {
-        const data = await this.fetchFolderPhotos(this.config.folderId, 0, limit);
-        if (data.success) photoList = data.data.list;
-      } else if (this.config.sharedSpace) {
-        const data = await this.fetchTeamPhotos(0, limit);
-        if (data.success) photoList = data.data.list;
-      } else {
-        const data = await this.fetchPersonalPhotos(0, limit);
-        if (data.success) photoList = data.data.list;
+      const sampling = this.config.sampling || "random";
+
+      // "newest" only needs the first numPhotos items per source; "random",
+      // "on this day" and filters need to see everything
+      const maxPerSource = sampling === "newest" && !this.config.onThisDay && !this.config.filters ? limit : null;
+      const seen = new Set();
+      const matchesFilters = buildFilter(this.config.filters);
+      let pools = [];
+
+      const sources = await this.resolveSources(this.getSources());
+      for (const source of sources) {
+        const items = await this.fetchAllItems(source, maxPerSource);
+        const pool = [];
+        const albumLabel = source.albumName || folderBaseName(source.folderPath);
+        for (const p of items) {
+          // The same photo can appear in several albums/folders; keep the first
+          const key = `${source.space}:${p.id}`;
+          if (seen.has(key) || !hasReadyThumbnail(p, thumbnailSize) || !matchesFilters(p)) continue;
+          seen.add(key);
+          pool.push({ item: p, space: source.space, token: photoToken(source.space, p.id), album: albumLabel });
+        }
+        pools.push({ weight: source.weight, entries: pool });
+      }
+
+      if (this.config.onThisDay) {
+        const memories = selectMemories(pools, this.config.onThisDayMinPhotos || 10, new Date());
+        if (memories) {
+          pools = memories.pools;
+          console.log(`[MMM-SynologyPhotos] On this day: ${memories.count} photos (same ${memories.window})`);
+        } else {
+          console.log("[MMM-SynologyPhotos] On this day: no photos from this month in earlier years, showing all photos");
+        }
       }
 
-      // Filter to only items that have a ready thumbnail
-      const photos = photoList
-        .filter(
-          (p) =>
-            p.additional &&
-            p.additional.thumbnail &&
-            (p.additional.thumbnail[thumbnailSize] === "ready" ||
-              p.additional.thumbnail[thumbnailSize] === true)
-        )
-        .map((p) => ({
+      const available = pools.reduce((sum, p) => sum + p.entries.length, 0);
+      const selected = this.config.smartShuffle && sampling === "random"
+        ? this.selectUnshown(pools, limit)
+        : samplePools(pools, limit, sampling);
+
+      // The playlist maps proxy tokens to what the helper needs to build
+      // Synology URLs; the frontend only ever sees the tokens
+      const playlist = new Map();
+      const placeholders = templatePlaceholders(this.config.overlayTemplate);
+      const geocoder = this.config.reverseGeocode ? this.getGeocoder() : null;
+      const photos = selected.map(({ item: p, space, token, album }) => {
+        const type = p.type === "video" ? "video" : "photo";
+        const photo = {
           id: p.id,
+          token: token,
+          type: type,
           filename: p.filename,
-          url: "/synology-photos/image?url=" + encodeURIComponent(this.buildThumbnailUrl(p, thumbnailSize)),
+          url: this.imageUrl(token, type),
           width: p.additional.resolution ? p.additional.resolution.width : null,
           height: p.additional.resolution ? p.additional.resolution.height : null,
           time: p.time,
-        }));
+        };
+        if (type === "video") {
+          photo.videoUrl = this.videoUrl(token);
+        } else if (this.config.kenBurns) {
+          photo.focus = faceFocus(p);
+        }
+        if (placeholders.size > 0) {
+          photo.info = photoInfo(p, album, placeholders, geocoder);
+        }
+        playlist.set(token, {
+          id: p.id,
+          space: space,
+          type: type,
+          cacheKey: p.additional.thumbnail.cache_key,
+          photo: photo,
+        });
+        return photo;
+      });
 
       if (this.config.shuffle) {
-        for (let i = photos.length - 1; i > 0; i--) {
-          const j = Math.floor(Math.random() * (i + 1));
-          [photos[i], photos[j]] = [photos[j], photos[i]];
-        }
+        shuffleInPlace(photos);
       } else if (this.config.sortBy === "time") {
         photos.sort((a, b) => b.time - a.time);
       }
 
+      const previous = this.photos;
       this.photos = photos;
-      this.sendSocketNotification("SYNOLOGY_PHOTOS_DATA", { photos });
-      console.log(`[MMM-SynologyPhotos] Fetched ${photos.length} photos`);
+      this.playlist = playlist;
+      this.available = available;
+      this.failures = 0;
+      this.sendPlaylist(previous, photos);
+      console.log(`[MMM-SynologyPhotos] Fetched ${photos.length} of ${available} photos (${sampling})`);
 
       // Schedule periodic refresh
-      if (this.refreshTimer) clearTimeout(this.refreshTimer);
       const refreshInterval = this.config.refreshInterval || 3600000; // default 1 hour
-      this.refreshTimer = setTimeout(() => {
-        this.fetchPhotos();
-      }, refreshInterval);
+      this.scheduleRefresh(refreshInterval);
     } catch (error) {
       console.error("[MMM-SynologyPhotos] Fetch error:", error.message);
-      this.sendSocketNotification("SYNOLOGY_PHOTOS_ERROR", {
-        error: error.message,
-      });
+      if (error.notFound) {
+        this.handleConfigError(error.message);
+      } else {
+        this.handleFetchFailure(error.message);
+      }
+    } finally {
+      this.fetching = false;
+      if (this.fetchAgain) this.fetchPhotos();
+    }
+  },
+
+  /**
+   * Offline reverse geocoder for this instance's gazetteer. Instances using
+   * the same file share one, so it is only loaded once.
+   */
+  getGeocoder: function () {
+    const file = this.config.gazetteerFile
+      ? path.resolve(__dirname, this.config.gazetteerFile)
+      : GAZETTEER_FILE;
+    if (!this.geocoders[file]) {
+      this.geocoders[file] = new ReverseGeocoder(file, GEOCODE_MAX_DISTANCE_KM);
     }
+    return this.geocoders[file];
+  },
+
+  /**
+   * Send the first playlist in full; after that only send what changed, so
+   * the frontend can splice it in without restarting the rotation.
+   */
+  sendPlaylist: function (previous, photos) {
+    if (previous.length === 0) {
+      this.sendSocketNotification("SYNOLOGY_PHOTOS_DATA", { photos });
+      return;
+    }
+
+    const oldTokens = new Set(previous.map((p) => p.token));
+    const newTokens = new Set(photos.map((p) => p.token));
+    const added = photos.filter((p) => !oldTokens.has(p.token));
+    const removed = previous.filter((p) => !newTokens.has(p.token)).map((p) => p.token);
+    this.sendSocketNotification("SYNOLOGY_PHOTOS_UPDATE", { added, removed });
+    console.log(`[MMM-SynologyPhotos] Playlist update: ${added.length} added, ${removed.length} removed`);
+  },
+
+  scheduleRefresh: function (delay) {
+    if (this.refreshTimer) clearTimeout(this.refreshTimer);
+    this.refreshTimer = setTimeout(() => {
+      if (this.refreshPaused) {
+        this.refreshMissed = true;
+        return;
+      }
+      this.fetchPhotos();
+    }, delay);
+  },
+
+  /**
+   * Hold back refreshes and prefetching while the frontend's schedule says
+   * so (e.g. overnight, to let the NAS disks spin down). A refresh that came
+   * due in the meantime runs as soon as refreshes are allowed again.
+   */
+  setRefreshPaused: function (paused) {
+    if (paused === this.refreshPaused) return;
+    this.refreshPaused = paused;
+    console.log(`[MMM-SynologyPhotos] ${paused ? "Pausing" : "Resuming"} refreshes (schedule)`);
+    if (!paused && this.refreshMissed) {
+      this.refreshMissed = false;
+      this.fetchPhotos();
+    }
+  },
+
+  /**
+   * A configured album or folder doesn't exist. Show the error unless a
+   * playlist is already running, and check again at the normal refresh
+   * interval instead of retrying like an outage.
+   */
+  handleConfigError: function (message) {
+    this.failures = 0;
+    this.scheduleRefresh(this.config.refreshInterval || 3600000);
+    if (this.photos.length === 0) {
+      this.sendSocketNotification("SYNOLOGY_PHOTOS_ERROR", { error: message });
+    }
+    this.sendSocketNotification("SYNOLOGY_PHOTOS_STATUS", { online: true });
+  },
+
+  /**
+   * Schedule a retry with exponential backoff and tell the frontend. A
+   * playlist that is already showing is kept; otherwise fall back to cached
+   * photos, and only report an error if there are none.
+   */
+  handleFetchFailure: function (message) {
+    this.failures++;
+    const delay = backoffDelay(
+      this.failures,
+      this.config.retryDelay || 30000,
+      this.config.retryMaxDelay || 1800000
+    );
+    console.log(`[MMM-SynologyPhotos] Retrying in ${Math.round(delay / 1000)}s (attempt ${this.failures})`);
+    this.scheduleRefresh(delay);
+
+    if (this.photos.length === 0 && !this.sendCachedPlaylist()) {
+      this.sendSocketNotification("SYNOLOGY_PHOTOS_ERROR", { error: message });
+    }
+    this.sendSocketNotification("SYNOLOGY_PHOTOS_STATUS", {
+      online: false,
+      error: message,
+      retryIn: delay,
+    });
   },
 });
@@ -0,0 +1,122 @@
+const fetch = require("node-fetch");
+const https = require("https");
+const http = require("http");
+
+const RELAY_TIMEOUT = 10000;
+const PROBE_TIMEOUT = 5000;
+// DSM serves the API under /webapi; some setups only expose /photo/webapi
+const API_PATHS = ["/webapi", "/photo/webapi"];
+
+const httpsAgent = new https.Agent({ rejectUnauthorized: false });
+const httpAgent = new http.Agent();
+
+/**
+ * Detect a QuickConnect address such as "mynas.quickconnect.to".
+ */
+function isQuickConnectHost(host) {
+  return (host || "").includes("quickconnect.to");
+}
+
+/**
+ * Ask Synology's QuickConnect relay (Serv.php) where the NAS behind a
+ * QuickConnect ID can be reached. Returns candidates as { url, label },
+ * LAN addresses first, then DDNS and the external IP. Throws if no relay
+ * answered.
+ */
+async function resolveQuickConnect(host) {
+  const parts = host.replace(/^https?:\/\//, "").replace(/\.quickconnect\.to.*$/, "").split(".");
+  const serverID = parts[0];
+  const region = parts[1] || null;
+
+  const relayPayload = JSON.stringify({
+    version: 1,
+    command: "get_server_info",
+    stop_when_error: false,
+    stop_when_success: false,
+    id: "dsm_portal_https",
+    serverID: serverID,
+  });
+  const relayUrls = [
+    region ? `https://${region}.quickconnect.to/Serv.php` : null,
+    "https://global.quickconnect.to/Serv.php",
+  ].filter(Boolean);
+
+  let lastError = null;
+  for (const relayUrl of relayUrls) {
+    try {
+      const response = await fetch(relayUrl, {
+        method: "POST",
+        body: relayPayload,
+        headers: { "Content-Type": "application/json" },
+        timeout: RELAY_TIMEOUT,
+      });
+      const data = await response.json();
+      if (data && data.server) return serverCandidates(data.server, data.service || {});
+      lastError = new Error(`relay has no server for "${serverID}" (errno ${data ? data.errno : "unknown"})`);
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * Turn a relay `server` record into candidate base URLs.
+ */
+function serverCandidates(server, service) {
+  const candidates = [];
+  const lanPort = service.port || 5001;
+  const externalPort = service.ext_port || (server.external && server.external.port) || lanPort;
+
+  for (const iface of server.interface || []) {
+    if (iface.ip) {
+      candidates.push({ url: `https://${iface.ip}:${iface.port || lanPort}`, label: `LAN (${iface.ip})` });
+    }
+  }
+  if (server.ddns && server.ddns !== "NULL") {
+    candidates.push({ url: `https://${server.ddns}:${externalPort}`, label: `DDNS (${server.ddns})` });
+  }
+  if (server.external && server.external.ip) {
+    candidates.push({ url: `https://${server.external.ip}:${externalPort}`, label: "External IP" });
+  }
+  return candidates;
+}
+
+/**
+ * Call SYNO.API.Info on a candidate, trying each API path. Returns
+ * { baseUrl, apiPath, label, latency } for the first path that answers,
+ * or null if the candidate isn't reachable.
+ */
+async function probeCandidate(candidate, refererHost) {
+  const agent = candidate.url.startsWith("https") ? httpsAgent : httpAgent;
+  const headers = refererHost ? { Referer: `https://${refererHost}/` } : {};
+
+  for (const apiPath of API_PATHS) {
+    const started = Date.now();
+    try {
+      const url = `${candidate.url}${apiPath}/entry.cgi?api=SYNO.API.Info&version=1&method=query&query=SYNO.API.Auth`;
+      const response = await fetch(url, { agent, headers, timeout: PROBE_TIMEOUT });
+      const data = JSON.parse(await response.text());
+      if (data.success) {
+        return { baseUrl: candidate.url, apiPath, label: candidate.label, latency: Date.now() - started };
+      }
+    } catch (error) {
+      // Unreachable, timed out or not a Synology API; try the next path
+    }
+  }
+  return null;
+}
+
+/**
+ * Probe every candidate at once and pick the fastest one that answers.
+ * Candidates are listed LAN first, so on a tie the nearer address wins.
+ * Returns null if none of them work.
+ */
+async function pickFastest(candidates, refererHost) {
+  const results = await Promise.all(candidates.map((candidate) => probeCandidate(candidate, refererHost)));
+  const working = results.filter(Boolean);
+  if (working.length === 0) return null;
+  return working.reduce((best, result) => (result.latency < best.latency ? result : best));
+}
+
+module.exports = { isQuickConnectHost, resolveQuickConnect, probeCandidate, pickFastest };
@@ -0,0 +1,115 @@
+const fs = require("fs");
+
+const EARTH_RADIUS_KM = 6371;
+const CELL_DEGREES = 1;
+const CACHE_LIMIT = 10000;
+
+/**
+ * Offline "City, Country" lookup for GPS coordinates.
+ *
+ * Places come from a gazetteer file: either the bundled gazetteer.csv
+ * (name,country,latitude,longitude) or a GeoNames dump such as
+ * cities15000.txt, whose country codes are turned into names. They are
+ * bucketed into 1° cells, so a lookup only measures the places in the
+ * cells around the photo. Results are cached per ~100 m square.
+ */
+class ReverseGeocoder {
+  constructor(file, maxDistanceKm) {
+    this.file = file;
+    this.maxDistanceKm = maxDistanceKm;
+    this.cells = null;
+    this.cache = new Map();
+  }
+
+  /**
+   * Read the gazetteer on first use. A missing or unreadable file leaves
+   * the geocoder empty, so lookups just return null.
+   */
+  load() {
+    this.cells = new Map();
+    let lines;
+    try {
+      lines = fs.readFileSync(this.file, "utf8").split("\n");
+    } catch (error) {
+      console.warn("[MMM-SynologyPhotos] Could not read gazetteer:", error.message);
+      return;
+    }
+
+    const geonames = lines[0].includes("\t");
+    const regionNames = geonames ? new Intl.DisplayNames(["en"], { type: "region" }) : null;
+    let count = 0;
+    for (const line of geonames ? lines : lines.slice(1)) {
+      const fields = line.split(geonames ? "\t" : ",");
+      const place = geonames
+        ? { city: fields[1], country: fields[8], latitude: parseFloat(fields[4]), longitude: parseFloat(fields[5]) }
+        : { city: fields[0], country: fields[1], latitude: parseFloat(fields[2]), longitude: parseFloat(fields[3]) };
+      if (!place.city || isNaN(place.latitude) || isNaN(place.longitude)) continue;
+      if (geonames && place.country) {
+        try {
+          place.country = regionNames.of(place.country);
+        } catch (error) {
+          // Keep the code if the region is unknown to Intl
+        }
+      }
+
+      const key = this.cellKey(Math.floor(place.latitude / CELL_DEGREES), Math.floor(place.longitude / CELL_DEGREES));
+      if (!this.cells.has(key)) this.cells.set(key, []);
+      this.cells.get(key).push(place);
+      count++;
+    }
+    console.log(`[MMM-SynologyPhotos] Gazetteer: ${count} places`);
+  }
+
+  cellKey(row, column) {
+    // Wrap columns around the antimeridian
+    const wrapped = ((column % 360) + 540) % 360 - 180;
+    return `${row}:${wrapped}`;
+  }
+
+  /**
+   * Nearest place within maxDistanceKm as { city, country }, or null.
+   */
+  lookup(latitude, longitude) {
+    if (typeof latitude !== "number" || typeof longitude !== "number") return null;
+    if (latitude === 0 && longitude === 0) return null;
+    if (!this.cells) this.load();
+
+    const cacheKey = `${latitude.toFixed(3)},${longitude.toFixed(3)}`;
+    if (this.cache.has(cacheKey)) return this.cache.get(cacheKey);
+
+    const latRange = Math.ceil(this.maxDistanceKm / 111 / CELL_DEGREES);
+    const cosLat = Math.max(Math.cos((latitude * Math.PI) / 180), 0.01);
+    const lonRange = Math.min(Math.ceil(this.maxDistanceKm / (111 * cosLat) / CELL_DEGREES), 180);
+    const row = Math.floor(latitude / CELL_DEGREES);
+    const column = Math.floor(longitude / CELL_DEGREES);
+
+    let best = null;
+    let bestDistance = this.maxDistanceKm;
+    for (let r = row - latRange; r <= row + latRange; r++) {
+      for (let c = column - lonRange; c <= column + lonRange; c++) {
+        for (const place of this.cells.get(this.cellKey(r, c)) || []) {
+          const distance = haversineKm(latitude, longitude, place.latitude, place.longitude);
+          if (distance <= bestDistance) {
+            best = place;
+            bestDistance = distance;
+          }
+        }
+      }
+    }
+
+    const result = best ? { city: best.city, country: best.country } : null;
+    if (this.cache.size >= CACHE_LIMIT) this.cache.delete(this.cache.keys().next().value);
+    this.cache.set(cacheKey, result);
+    return result;
+  }
+}
+
+function haversineKm(lat1, lon1, lat2, lon2) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+module.exports = ReverseGeocoder;
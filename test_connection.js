@@ -33,6 +33,7 @@ const https = require("https");
 const http = require("http");
 const fs = require("fs");
 const path = require("path");
+const { resolveQuickConnect } = require("./quickconnect");
 
 const httpsAgent = new https.Agent({ rejectUnauthorized: false });
 const httpAgent = new http.Agent();
@@ -99,61 +100,13 @@ async function testApiEndpoint(baseUrl, apiPath, refererHost) {
 
 // ─── Resolve QuickConnect to fallback candidate URLs via Synology relay ───
 async function resolveQuickConnectFallbacks(fullDomain) {
-  const parts = fullDomain.replace(/\.quickconnect\.to$/, "").split(".");
-  const serverID = parts[0];
-  const region = parts[1] || null;
-
-  const candidates = [];
-  const relayPayload = JSON.stringify({
-    version: 1,
-    command: "get_server_info",
-    stop_when_error: false,
-    stop_when_success: false,
-    id: "dsm_portal_https",
-    serverID: serverID,
-  });
-
-  const relayUrls = [
-    region ? `https://${region}.quickconnect.to/Serv.php` : null,
-    "https://global.quickconnect.to/Serv.php",
-  ].filter(Boolean);
-
-  for (const relayUrl of relayUrls) {
-    try {
-      info(`Querying Synology relay for alternate paths...`);
-      const resp = await fetch(relayUrl, {
-        method: "POST",
-        body: relayPayload,
-        headers: { "Content-Type": "application/json" },
-        timeout: 10000,
-      });
-      const data = await resp.json();
-
-      if (data && data.server) {
-        const srv = data.server;
-        const httpsPort = srv.external?.port || 5001;
-
-        if (srv.interface) {
-          for (const iface of srv.interface) {
-            if (iface.ip) {
-              candidates.push({ url: `https://${iface.ip}:${iface.port || 5001}`, label: `LAN (${iface.ip})` });
-            }
-          }
-        }
-        if (srv.ddns) {
-          candidates.push({ url: `https://${srv.ddns}:${httpsPort}`, label: `DDNS (${srv.ddns})` });
-        }
-        if (srv.external?.ip) {
-          candidates.push({ url: `https://${srv.external.ip}:${httpsPort}`, label: `External IP` });
-        }
-        break;
-      }
-    } catch (err) {
-      warn(`Relay lookup failed: ${err.message.substring(0, 60)}`);
-    }
+  try {
+    info(`Querying Synology relay for alternate paths...`);
+    return await resolveQuickConnect(fullDomain);
+  } catch (err) {
+    warn(`Relay lookup failed: ${err.message.substring(0, 60)}`);
+    return [];
   }
-
-  return candidates;
 }
 
 // ─── Main ───
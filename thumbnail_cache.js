@@ -0,0 +1,140 @@
+const fs = require("fs");
+const path = require("path");
+const JsonFile = require("./json_file");
+
+const INDEX_FILE = "index.json";
+const SAVE_DELAY = 5000;
+
+/**
+ * Size-capped LRU cache of thumbnails on disk.
+ *
+ * Each entry is stored as its own file next to an index.json that records
+ * the content type, size and the helper's playlist entry for the photo, so
+ * the helper can rebuild a cached-only playlist when the NAS is unreachable.
+ * Map insertion order doubles as LRU order: entries are re-inserted on use,
+ * so the first entry is always the least recently used one.
+ */
+class ThumbnailCache {
+  constructor(dir, maxBytes) {
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+    this.entries = new Map();
+    this.totalBytes = 0;
+    this.index = new JsonFile(path.join(dir, INDEX_FILE), SAVE_DELAY, () => this.toJSON(), "thumbnail cache index");
+    this.load();
+  }
+
+  load() {
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      const index = this.index.read();
+      if (!index) return;
+
+      const sorted = Object.entries(index).sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+      for (const [key, entry] of sorted) {
+        if (fs.existsSync(this.filePath(key))) {
+          this.entries.set(key, entry);
+          this.totalBytes += entry.bytes;
+        }
+      }
+      console.log(`[MMM-SynologyPhotos] Thumbnail cache: ${this.entries.size} files, ${(this.totalBytes / 1048576).toFixed(1)} MB`);
+      this.evict();
+    } catch (error) {
+      console.warn("[MMM-SynologyPhotos] Could not load thumbnail cache index:", error.message);
+    }
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${key}.bin`);
+  }
+
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  /**
+   * Read an entry and mark it as recently used.
+   * Returns { data, contentType } or null on a miss.
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    try {
+      const data = await fs.promises.readFile(this.filePath(key));
+      this.entries.delete(key);
+      entry.lastUsed = Date.now();
+      this.entries.set(key, entry);
+      this.scheduleSave();
+      return { data, contentType: entry.contentType };
+    } catch (error) {
+      this.remove(key);
+      return null;
+    }
+  }
+
+  /**
+   * Store an entry, evicting the least recently used ones to stay under the cap.
+   */
+  async put(key, data, contentType, meta) {
+    if (data.length > this.maxBytes) return;
+
+    await fs.promises.writeFile(this.filePath(key), data);
+    if (this.entries.has(key)) {
+      this.totalBytes -= this.entries.get(key).bytes;
+      this.entries.delete(key);
+    }
+    this.entries.set(key, {
+      bytes: data.length,
+      contentType,
+      lastUsed: Date.now(),
+      meta: meta || null,
+    });
+    this.totalBytes += data.length;
+    this.evict();
+    this.scheduleSave();
+  }
+
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.entries.delete(key);
+    this.totalBytes -= entry.bytes;
+    fs.promises.unlink(this.filePath(key)).catch(() => {});
+    this.scheduleSave();
+  }
+
+  evict() {
+    for (const key of this.entries.keys()) {
+      if (this.totalBytes <= this.maxBytes) break;
+      this.remove(key);
+    }
+  }
+
+  /**
+   * Metadata stored with every cached entry, most recently used first.
+   */
+  allMeta() {
+    const metas = [];
+    for (const entry of this.entries.values()) {
+      if (entry.meta) metas.unshift(entry.meta);
+    }
+    return metas;
+  }
+
+  scheduleSave() {
+    this.index.schedule();
+  }
+
+  save() {
+    this.index.flush();
+  }
+
+  toJSON() {
+    const index = {};
+    for (const [key, entry] of this.entries) index[key] = entry;
+    return index;
+  }
+}
+
+module.exports = ThumbnailCache;